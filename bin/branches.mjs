@@ -0,0 +1,93 @@
+import _ from "lodash";
+import { minimatch } from "minimatch";
+
+/**
+ * Which git branches can be released to an environment is set per environment:
+ *
+ * {
+ *   "key": "production",
+ *   ...
+ *   "allowedBranches": ["main", "release/*"], // globs
+ *   "branchEnforcement": "confirm"            // what happens when a version of any other branch is released
+ * }
+ *
+ * With "warn" the release goes ahead with a warning, with "confirm" (the default) it takes another
+ * confirmation, and with "block" it is refused. The older "masterOnly": true is the same as
+ * "allowedBranches": ["main", "master"] with "confirm".
+ */
+
+const branchEnforcements = ["warn", "confirm", "block"];
+
+/**
+ * @param {object} environment
+ * @returns {{allowedBranches: string[], enforcement: string}|null} null when any branch can be released.
+ */
+const getBranchRule = (environment) => {
+  if (_.has(environment, "allowedBranches")) {
+    return {
+      allowedBranches: environment.allowedBranches,
+      enforcement: environment.branchEnforcement || "confirm",
+    };
+  }
+  // noinspection JSUnresolvedVariable
+  if (environment.masterOnly) {
+    return {
+      allowedBranches: ["main", "master"],
+      enforcement: environment.branchEnforcement || "confirm",
+    };
+  }
+  return null;
+};
+
+/**
+ * Check whether a version built from a git branch can be released to an environment.
+ *
+ * @param {object} environment
+ * @param {string} branch
+ * @returns {{enforcement: string, allowedBranches: string[], description: string}|null} null when the
+ * branch is allowed.
+ */
+const checkReleaseBranch = (environment, branch) => {
+  const rule = getBranchRule(environment);
+  if (
+    !rule ||
+    rule.allowedBranches.some((pattern) => minimatch(branch || "", pattern))
+  ) {
+    return null;
+  }
+  return {
+    ...rule,
+    description: `branch[${branch}] to ${
+      environment.key
+    }, which only allows the branches ${rule.allowedBranches.join(", ")}`,
+  };
+};
+
+/**
+ * Make sure the branch settings of an environment are usable. Throws if they are not.
+ *
+ * @param {object} environment
+ */
+const validateBranchRule = (environment) => {
+  if (
+    _.has(environment, "allowedBranches") &&
+    (!_.isArray(environment.allowedBranches) ||
+      !environment.allowedBranches.every(_.isString))
+  ) {
+    throw new Error(
+      `The allowedBranches of the environment ${environment.key} is not a list of branch globs.`,
+    );
+  }
+  if (
+    _.has(environment, "branchEnforcement") &&
+    !branchEnforcements.includes(environment.branchEnforcement)
+  ) {
+    throw new Error(
+      `The branchEnforcement of the environment ${
+        environment.key
+      } should be one of: ${branchEnforcements.join(", ")}.`,
+    );
+  }
+};
+
+export { checkReleaseBranch, validateBranchRule };
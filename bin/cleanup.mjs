@@ -0,0 +1,346 @@
+import _ from "lodash";
+import { DeleteObjectsCommand } from "@aws-sdk/client-s3";
+import { readFile } from "node:fs/promises";
+import { readManifest } from "./manifest.mjs";
+import { listAllObjects, listAllPrefixes, maxKeysPerDelete } from "./utils.mjs";
+
+/**
+ * delete-old-deploys works from a plan, which can be written out with --dry-run --json, reviewed, and
+ * handed back with --plan to delete exactly what it lists:
+ *
+ * {
+ *   "createdAt": "2026-01-01T00:00:00.000Z",
+ *   "bucketPath": "some-stuff",
+ *   "retention": { ... },                // the retention rules it was made with
+ *   "buckets": [
+ *     {
+ *       "bucket": "production-bucket",
+ *       "serverEnvironments": ["production"],
+ *       "versions": [                      // the versions to delete
+ *         {
+ *           "hash": "...",
+ *           "gitSha": "...",
+ *           "gitBranch": "...",
+ *           "deployedAt": "...",
+ *           "reason": "deployed more than 90d ago",
+ *           "keys": ["some-stuff/<hash>.gurgler.json", "some-stuff/<hash>/app.js"],
+ *           "bytes": 1234,
+ *           "sourceMaps": [{ "bucket": "maps-bucket", "key": "maps/some-stuff/<hash>/app.js.map" }]
+ *         }
+ *       ],
+ *       "kept": [{ "hash": "...", "reason": "released to production" }],
+ *       "abandoned": [                     // the files of deploys that never sent their manifest
+ *         {
+ *           "hash": "...",
+ *           "lastModified": "...",
+ *           "reason": "a deploy that never finished",
+ *           "keys": ["some-stuff/<hash>/app.js"],
+ *           "bytes": 1234
+ *         }
+ *       ],
+ *       "objectCount": 2,
+ *       "bytes": 1234
+ *     }
+ *   ]
+ * }
+ *
+ * The manifest is always the first key of a version, so it is deleted first and the version can't be
+ * released while its files are being deleted. The source maps the manifest lists can be in other
+ * buckets and are shared by every bucket the version is in, so they are only deleted along with the
+ * last copy of the version. What is protected when the plan is carried out (see
+ * bin/retention.mjs) is not deleted, even if the plan lists it.
+ *
+ * A failed deploy leaves its files behind without a manifest, for the next deploy to skip. Once they
+ * have been left alone for abandonedAfter, they are deleted too, unless the manifest turns up after all.
+ */
+
+// A deploy sends its manifest last, so a prefix without one might just be a deploy that is still going.
+const abandonedAfter = 24 * 60 * 60 * 1000;
+
+// The prefix of a version is the SHA-256 of its git commit and branch, see writeGurglerFile.
+const isHash = (value) => /^[0-9a-f]{64}$/.test(value);
+
+/**
+ * Find the prefixes under the bucket path that have files but no manifest, and haven't been touched
+ * for abandonedAfter.
+ *
+ * @param {S3Client} client
+ * @param {string} bucketName
+ * @param {string} bucketPath
+ * @param {string[]} deployedHashes The hashes that do have a manifest.
+ * @param {Date} now
+ * @returns {Promise<[object]>} The abandoned entries of the plan for the bucket.
+ */
+const findAbandonedDeploys = async (
+  client,
+  bucketName,
+  bucketPath,
+  deployedHashes,
+  now,
+) => {
+  const abandoned = [];
+  for (const prefix of await listAllPrefixes(
+    client,
+    bucketName,
+    `${bucketPath}/`,
+  )) {
+    const hash = prefix.slice(bucketPath.length + 1, -1);
+    if (!isHash(hash) || deployedHashes.includes(hash)) {
+      continue;
+    }
+
+    const objects = await listAllObjects(client, {
+      Bucket: bucketName,
+      Prefix: prefix,
+    });
+    const lastModified = _.max(objects.map((object) => object.LastModified));
+    if (
+      !lastModified ||
+      now.getTime() - lastModified.getTime() < abandonedAfter
+    ) {
+      continue;
+    }
+    abandoned.push({
+      hash,
+      lastModified: lastModified.toISOString(),
+      reason: "a deploy that never finished",
+      keys: objects.map((object) => object.Key),
+      bytes: _.sumBy(objects, "Size"),
+    });
+  }
+  return abandoned;
+};
+
+/**
+ * Work out exactly which objects deleting the chosen versions of a bucket comes down to.
+ *
+ * @param {S3Client} client
+ * @param {string} bucketName
+ * @param {string} bucketPath
+ * @param {string[]} serverEnvironments The server environments that use the bucket.
+ * @param {array} decisions What applyRetention decided for each version in the bucket.
+ * @param {Date} now
+ * @returns {Promise<object>} The plan for the bucket.
+ */
+const makeBucketPlan = async (
+  client,
+  bucketName,
+  bucketPath,
+  serverEnvironments,
+  decisions,
+  now = new Date(),
+) => {
+  const versions = [];
+  for (const { version, rule } of decisions.filter(
+    (decision) => !decision.keep,
+  )) {
+    const objects = await listAllObjects(client, {
+      Bucket: bucketName,
+      Prefix: `${version.directoryPath}/`,
+    });
+    const manifestObject = { Key: version.filepath, Size: version.size || 0 };
+    const allObjects = [manifestObject, ...objects];
+    const manifest = await readManifest(client, bucketName, version.filepath);
+
+    versions.push({
+      hash: version.hash,
+      gitSha: version.gitSha,
+      gitBranch: version.gitBranch,
+      deployedAt: version.lastModified.toISOString(),
+      reason: rule,
+      keys: allObjects.map((object) => object.Key),
+      bytes: _.sumBy(allObjects, "Size"),
+      sourceMaps: (manifest.sourceMaps || []).map(({ bucket, key }) => ({
+        bucket,
+        key,
+      })),
+    });
+  }
+
+  const abandoned = await findAbandonedDeploys(
+    client,
+    bucketName,
+    bucketPath,
+    decisions.map(({ version }) => version.hash),
+    now,
+  );
+
+  return {
+    bucket: bucketName,
+    serverEnvironments,
+    versions,
+    kept: decisions
+      .filter((decision) => decision.keep)
+      .map(({ version, rule }) => ({ hash: version.hash, reason: rule })),
+    abandoned,
+    objectCount: _.sumBy(
+      [...versions, ...abandoned],
+      (entry) => entry.keys.length,
+    ),
+    bytes: _.sumBy([...versions, ...abandoned], "bytes"),
+  };
+};
+
+/**
+ * Whether something looks like a plan, with only keys under the bucket path of the plan.
+ *
+ * @param {object} plan
+ * @returns {boolean}
+ */
+const isCleanupPlan = (plan) => {
+  // The keys of source maps end with the deploy prefix, whatever sourceMaps.prefix is put in front.
+  const isSourceMap = (version) => (sourceMap) =>
+    _.isString(sourceMap.bucket) &&
+    _.isString(sourceMap.key) &&
+    sourceMap.key.includes(`${plan.bucketPath}/${version.hash}/`);
+  const isVersion = (version) =>
+    _.isString(version.hash) &&
+    _.isArray(version.keys) &&
+    version.keys.length > 0 &&
+    version.keys.every(
+      (key) => _.isString(key) && _.startsWith(key, `${plan.bucketPath}/`),
+    ) &&
+    _.endsWith(version.keys[0], `${version.hash}.gurgler.json`) &&
+    (_.isUndefined(version.sourceMaps) ||
+      (_.isArray(version.sourceMaps) &&
+        version.sourceMaps.every(isSourceMap(version))));
+  const isAbandoned = (abandoned) =>
+    isHash(abandoned.hash) &&
+    _.isArray(abandoned.keys) &&
+    abandoned.keys.length > 0 &&
+    abandoned.keys.every(
+      (key) =>
+        _.isString(key) &&
+        _.startsWith(key, `${plan.bucketPath}/${abandoned.hash}/`),
+    );
+  return (
+    _.isString(plan.bucketPath) &&
+    _.isArray(plan.buckets) &&
+    plan.buckets.every(
+      (bucket) =>
+        _.isString(bucket.bucket) &&
+        _.isArray(bucket.versions) &&
+        bucket.versions.every(isVersion) &&
+        (_.isUndefined(bucket.abandoned) ||
+          (_.isArray(bucket.abandoned) && bucket.abandoned.every(isAbandoned))),
+    )
+  );
+};
+
+/**
+ * Read a plan written by --dry-run --json. Throws if it doesn't look like one.
+ *
+ * @param {string} planPath
+ * @returns {Promise<object>}
+ */
+const readCleanupPlan = async (planPath) => {
+  const plan = JSON.parse(await readFile(planPath));
+
+  if (!isCleanupPlan(plan)) {
+    throw new Error(`${planPath} is not a delete-old-deploys plan.`);
+  }
+
+  return plan;
+};
+
+/**
+ * @param {S3Client} client
+ * @param {string} bucketName
+ * @param {string[]} keys
+ * @param {string} hash
+ */
+const deleteObjects = async (client, bucketName, keys, hash) => {
+  const input = {
+    Bucket: bucketName,
+    Delete: { Objects: keys.map((key) => ({ Key: key })) },
+  };
+  const command = new DeleteObjectsCommand(input);
+  const response = await client.send(command);
+  // DeleteObjects reports the keys it couldn't delete instead of failing.
+  if (!_.isEmpty(response.Errors)) {
+    const [error] = response.Errors;
+    throw new Error(
+      `Unable to delete ${response.Errors.length} object(s) of hash[${hash}] from the S3 bucket ${bucketName}, e.g. ${error.Key}: ${error.Message}`,
+    );
+  }
+};
+
+/**
+ * Delete the objects of a version in a plan, the manifest first.
+ *
+ * @param {S3Client} client
+ * @param {string} bucketName
+ * @param {object} plannedVersion
+ * @param {function(): Promise<void>} beforeDelete Called before each DeleteObjectsCommand, throw to stop.
+ */
+const deletePlannedVersion = async (
+  client,
+  bucketName,
+  plannedVersion,
+  beforeDelete = async () => {},
+) => {
+  const [manifestKey, ...keys] = plannedVersion.keys;
+  for (const chunk of [[manifestKey], ..._.chunk(keys, maxKeysPerDelete)]) {
+    await beforeDelete();
+    await deleteObjects(client, bucketName, chunk, plannedVersion.hash);
+  }
+};
+
+/**
+ * Delete the files a deploy that never finished left behind.
+ *
+ * @param {S3Client} client
+ * @param {string} bucketName
+ * @param {object} abandoned
+ * @param {function(): Promise<void>} beforeDelete Called before each DeleteObjectsCommand, throw to stop.
+ */
+const deleteAbandonedDeploy = async (
+  client,
+  bucketName,
+  abandoned,
+  beforeDelete = async () => {},
+) => {
+  for (const chunk of _.chunk(abandoned.keys, maxKeysPerDelete)) {
+    await beforeDelete();
+    await deleteObjects(client, bucketName, chunk, abandoned.hash);
+  }
+};
+
+/**
+ * Delete the source maps of a version in a plan, wherever they are.
+ *
+ * @param {S3Client} client
+ * @param {object} plannedVersion
+ * @param {function(): Promise<void>} beforeDelete Called before each DeleteObjectsCommand, throw to stop.
+ * @returns {Promise<number>} How many source maps were deleted.
+ */
+const deletePlannedSourceMaps = async (
+  client,
+  plannedVersion,
+  beforeDelete = async () => {},
+) => {
+  const sourceMaps = plannedVersion.sourceMaps || [];
+  for (const [bucketName, bucketSourceMaps] of Object.entries(
+    _.groupBy(sourceMaps, "bucket"),
+  )) {
+    for (const chunk of _.chunk(bucketSourceMaps, maxKeysPerDelete)) {
+      await beforeDelete();
+      await deleteObjects(
+        client,
+        bucketName,
+        chunk.map((sourceMap) => sourceMap.key),
+        plannedVersion.hash,
+      );
+    }
+  }
+  return sourceMaps.length;
+};
+
+export {
+  makeBucketPlan,
+  isCleanupPlan,
+  readCleanupPlan,
+  deletePlannedVersion,
+  deletePlannedSourceMaps,
+  deleteAbandonedDeploy,
+};
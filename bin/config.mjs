@@ -0,0 +1,302 @@
+import _ from "lodash";
+import { join } from "path";
+import { readFileSync } from "fs";
+import { parseDuration } from "./retention.mjs";
+import { validateBranchRule } from "./branches.mjs";
+
+/**
+ * Build a gurgler config object out of the package.json in the given directory. The config object is
+ * the "gurgler" key of the package.json with the package name and the path to gurgler.json folded in.
+ *
+ * @param {string} cwd
+ * @returns {object}
+ */
+const loadConfig = (cwd = process.env.PWD || process.cwd()) => {
+  const packagePath = join(cwd, "package.json");
+  const packageData = JSON.parse(readFileSync(packagePath));
+
+  return {
+    ...packageData["gurgler"],
+    packageName: packageData["name"],
+    gurglerPath: join(cwd, "gurgler.json"),
+  };
+};
+
+/**
+ * Make sure the config values every command depends on are set. Throws if they are not.
+ *
+ * @param {object} config
+ * @returns {object}
+ */
+const validateConfig = (config) => {
+  if (_.isEmpty(config)) {
+    throw new Error("The gurgler config is not set.");
+  }
+
+  if (_.isEmpty(config.packageName)) {
+    throw new Error("The package name is not set.");
+  }
+
+  for (const key of [
+    "bucketNames",
+    "lambdaFunctions",
+    "bucketPath",
+    "bucketRegion",
+  ]) {
+    if (_.isEmpty(config[key])) {
+      throw new Error(`The config value ${key} is not set.`);
+    }
+  }
+
+  if (
+    _.has(config, "acl") &&
+    !_.isNull(config.acl) &&
+    !_.isString(config.acl)
+  ) {
+    throw new Error('The config value acl is not a string (or "none").');
+  }
+
+  if (_.has(config, "contentTypes")) {
+    validateContentTypes(config.contentTypes, "The config value contentTypes");
+  }
+
+  if (_.has(config, "compression")) {
+    validateCompression(config.compression);
+  }
+
+  if (_.has(config, "sourceMaps")) {
+    validateSourceMaps(config.sourceMaps);
+  }
+
+  if (_.has(config, "retention")) {
+    validateRetention(config.retention);
+  }
+
+  if (_.isArray(config.environments)) {
+    config.environments.forEach(validateBranchRule);
+  }
+
+  return config;
+};
+
+/**
+ * Make sure a map of extensions to content types is usable. Throws if it is not.
+ *
+ * @param {object} contentTypes
+ * @param {string} description What to call it in the error.
+ */
+const validateContentTypes = (contentTypes, description) => {
+  if (!_.isPlainObject(contentTypes) || !_.every(contentTypes, _.isString)) {
+    throw new Error(
+      `${description} is not an object of extensions and content types.`,
+    );
+  }
+};
+
+/**
+ * Make sure the sourceMaps config value is usable. Throws if it is not.
+ *
+ * @param {object} sourceMaps
+ */
+const validateSourceMaps = (sourceMaps) => {
+  if (!_.isPlainObject(sourceMaps)) {
+    throw new Error("The config value sourceMaps is not an object.");
+  }
+  for (const key of ["bucket", "prefix", "url"]) {
+    if (_.has(sourceMaps, key) && !_.isString(sourceMaps[key])) {
+      throw new Error(`The config value sourceMaps.${key} is not a string.`);
+    }
+  }
+  if (
+    _.has(sourceMaps, "acl") &&
+    !_.isNull(sourceMaps.acl) &&
+    !_.isString(sourceMaps.acl)
+  ) {
+    throw new Error(
+      'The config value sourceMaps.acl is not a string (or "none").',
+    );
+  }
+  const { sourceMappingURL = "keep" } = sourceMaps;
+  if (!["keep", "remove", "rewrite"].includes(sourceMappingURL)) {
+    throw new Error(
+      'The config value sourceMaps.sourceMappingURL is not "keep", "remove" or "rewrite".',
+    );
+  }
+  if (sourceMappingURL === "rewrite" && _.isEmpty(sourceMaps.url)) {
+    throw new Error(
+      'The config value sourceMaps.url is not set, it is needed when sourceMappingURL is "rewrite".',
+    );
+  }
+};
+
+/**
+ * Make sure the retention config value is usable. Throws if it is not.
+ *
+ * @param {object} retention
+ */
+const validateRetention = (retention) => {
+  if (!_.isPlainObject(retention)) {
+    throw new Error("The config value retention is not an object.");
+  }
+  for (const key of ["maxAge", "protectReleasedWithin"]) {
+    if (_.has(retention, key)) {
+      try {
+        parseDuration(retention[key]);
+      } catch (err) {
+        throw new Error(`The config value retention.${key}: ${err.message}`);
+      }
+    }
+  }
+  for (const key of ["keepLatest", "keepReleases"]) {
+    if (
+      _.has(retention, key) &&
+      !(Number.isInteger(retention[key]) && retention[key] >= 0)
+    ) {
+      throw new Error(
+        `The config value retention.${key} is not a whole number.`,
+      );
+    }
+  }
+  if (
+    _.has(retention, "keepBranches") &&
+    (!_.isArray(retention.keepBranches) ||
+      !retention.keepBranches.every(_.isString))
+  ) {
+    throw new Error(
+      "The config value retention.keepBranches is not a list of branch globs.",
+    );
+  }
+};
+
+/**
+ * Make sure the compression config value is usable. Throws if it is not.
+ *
+ * @param {object} compression
+ */
+const validateCompression = (compression) => {
+  if (!_.isPlainObject(compression)) {
+    throw new Error("The config value compression is not an object.");
+  }
+  const { encodings, mode = "sibling" } = compression;
+  if (!_.isArray(encodings) || _.isEmpty(encodings)) {
+    throw new Error(
+      "The config value compression.encodings is not a list of encodings.",
+    );
+  }
+  if (!encodings.every((encoding) => ["gzip", "br"].includes(encoding))) {
+    throw new Error(
+      'The config value compression.encodings can only contain "gzip" and "br".',
+    );
+  }
+  if (!["sibling", "replace"].includes(mode)) {
+    throw new Error(
+      'The config value compression.mode is not "sibling" or "replace".',
+    );
+  }
+  if (mode === "replace" && encodings.length !== 1) {
+    throw new Error(
+      'The config value compression.encodings can only have one encoding when the mode is "replace".',
+    );
+  }
+};
+
+/**
+ * Make sure the localFileGlobs config value is usable for a deploy. Throws if it is not.
+ *
+ * @param {array} globs
+ */
+const validateGlobs = (globs) => {
+  if (_.isUndefined(globs)) {
+    throw new Error("The config value localFileGlobs is not set.");
+  }
+  if (!_.isArray(globs)) {
+    throw new Error("The config value localFileGlobs is not an array.");
+  }
+  if (_.isEmpty(globs)) {
+    throw new Error("The config value localFileGlobs is empty.");
+  }
+
+  globs.forEach((glob) => {
+    if (!_.has(glob, "pattern")) {
+      throw new Error(
+        "At least one glob pattern is not set in the config value localFileGlobs.",
+      );
+    }
+    if (!_.isString(glob.pattern)) {
+      throw new Error(
+        "At least one glob pattern is not a string in the config value localFileGlobs.",
+      );
+    }
+    if (_.isEmpty(glob.pattern)) {
+      throw new Error(
+        "At least one glob pattern is empty in the config value localFileGlobs.",
+      );
+    }
+
+    if (_.has(glob, "base") && !_.isString(glob.base)) {
+      throw new Error(
+        "At least one glob base is not a string in the config value localFileGlobs.",
+      );
+    }
+    if (_.has(glob, "base") && _.isEmpty(glob.base)) {
+      throw new Error(
+        "At least one glob base is empty in the config value localFileGlobs.",
+      );
+    }
+
+    for (const key of [
+      "cacheControl",
+      "contentEncoding",
+      "contentDisposition",
+    ]) {
+      if (_.has(glob, key) && !_.isString(glob[key])) {
+        throw new Error(
+          `At least one glob ${key} is not a string in the config value localFileGlobs.`,
+        );
+      }
+    }
+    if (_.has(glob, "acl") && !_.isNull(glob.acl) && !_.isString(glob.acl)) {
+      throw new Error(
+        'At least one glob acl is not a string (or "none") in the config value localFileGlobs.',
+      );
+    }
+    if (
+      _.has(glob, "metadata") &&
+      (!_.isPlainObject(glob.metadata) || !_.every(glob.metadata, _.isString))
+    ) {
+      throw new Error(
+        "At least one glob metadata value is not an object of strings in the config value localFileGlobs.",
+      );
+    }
+
+    if (_.has(glob, "contentTypes")) {
+      validateContentTypes(
+        glob.contentTypes,
+        "At least one glob contentTypes in the config value localFileGlobs",
+      );
+    }
+
+    if (!_.has(glob, "ignore")) {
+      return;
+    }
+
+    if (!_.isArray(glob.ignore)) {
+      throw new Error("At least one glob ignore value is not an array.");
+    }
+
+    glob.ignore.forEach((pattern) => {
+      if (!_.isString(pattern)) {
+        throw new Error(
+          "At least one glob ignore pattern is not a string in the config value localFileGlobs.",
+        );
+      }
+      if (_.isEmpty(pattern)) {
+        throw new Error(
+          "At least one glob ignore pattern is empty in the config value localFileGlobs.",
+        );
+      }
+    });
+  });
+};
+
+export { loadConfig, validateConfig, validateGlobs };
@@ -0,0 +1,149 @@
+import _ from "lodash";
+import {
+  CopyObjectCommand,
+  DeleteObjectsCommand,
+  GetObjectAclCommand,
+} from "@aws-sdk/client-s3";
+import {
+  listAllObjects,
+  mapWithConcurrency,
+  maxKeysPerDelete,
+} from "./utils.mjs";
+
+/**
+ * A deployed version is copied from one bucket to another without downloading it, with S3 CopyObject.
+ * Everything under <bucketPath>/<hash>/ is copied, and the <bucketPath>/<hash>.gurgler.json manifest is
+ * copied last so the version only shows up in the other bucket once all of its files are there.
+ *
+ * The source maps the manifest lists outside of <bucketPath>/<hash>/ are not copied. The manifest is
+ * copied as is, so it still points at them where they are, and they are shared by every copy of the
+ * version until delete-old-deploys deletes the last one.
+ */
+
+const allUsersUri = "http://acs.amazonaws.com/groups/global/AllUsers";
+
+// CopySource is the bucket and the key, URL encoded.
+const makeCopySource = (bucketName, key) =>
+  `${bucketName}/${key.split("/").map(encodeURIComponent).join("/")}`;
+
+/**
+ * CopyObject doesn't carry over the ACL of an object, so work out whether the object is public to give
+ * the copy the same access.
+ *
+ * @param {S3Client} client
+ * @param {string} bucketName
+ * @param {string} key
+ * @returns {Promise<string|undefined>} "public-read", or undefined for the bucket's default.
+ */
+const findCannedAcl = async (client, bucketName, key) => {
+  const command = new GetObjectAclCommand({ Bucket: bucketName, Key: key });
+  const response = await client.send(command);
+
+  const isPublic = _.some(
+    response.Grants,
+    (grant) =>
+      _.get(grant, ["Grantee", "URI"]) === allUsersUri &&
+      ["READ", "FULL_CONTROL"].includes(grant.Permission),
+  );
+  return isPublic ? "public-read" : undefined;
+};
+
+/**
+ * @param {S3Client} client
+ * @param {string} sourceBucketName
+ * @param {string} targetBucketName
+ * @param {string} key
+ * @param {boolean} copyAcl Whether to make the copy public when the original is.
+ * @returns {Promise<string>} The key.
+ */
+const copyObject = async (
+  client,
+  sourceBucketName,
+  targetBucketName,
+  key,
+  copyAcl,
+) => {
+  const input = {
+    Bucket: targetBucketName,
+    Key: key,
+    CopySource: makeCopySource(sourceBucketName, key),
+    MetadataDirective: "COPY",
+  };
+  if (copyAcl) {
+    const acl = await findCannedAcl(client, sourceBucketName, key);
+    if (acl) {
+      input.ACL = acl;
+    }
+  }
+
+  const command = new CopyObjectCommand(input);
+  await client.send(command);
+
+  return key;
+};
+
+/**
+ * Copy a deployed version from one bucket to another. If any file fails to copy, the files that did
+ * make it are removed from the target again and the manifest is not copied.
+ *
+ * @param {S3Client} client
+ * @param {string} sourceBucketName
+ * @param {string} targetBucketName
+ * @param {string} bucketPath
+ * @param {string} hash
+ * @param {object} options
+ * @param {number} options.concurrency How many files to copy at once.
+ * @param {string|null} options.acl The acl config value; "none" (or null) sends no ACLs with the copies.
+ * @returns {Promise<string[]>} The keys that were copied, the manifest last.
+ */
+const copyVersion = async (
+  client,
+  sourceBucketName,
+  targetBucketName,
+  bucketPath,
+  hash,
+  { concurrency = 8, acl = "public-read" } = {},
+) => {
+  const prefix = `${bucketPath}/${hash}`;
+  const manifestKey = `${prefix}.gurgler.json`;
+
+  const objects = await listAllObjects(client, {
+    Bucket: sourceBucketName,
+    Prefix: `${prefix}/`,
+  });
+  const keys = objects.map(({ Key }) => Key);
+
+  const copyAcl = !_.isNull(acl) && acl !== "none";
+  const results = await mapWithConcurrency(keys, concurrency, (key) =>
+    copyObject(client, sourceBucketName, targetBucketName, key, copyAcl),
+  );
+
+  const failed = results.filter((result) => result.status === "rejected");
+  if (failed.length > 0) {
+    const copied = results
+      .filter((result) => result.status === "fulfilled")
+      .map((result) => result.value);
+    for (const chunk of _.chunk(copied, maxKeysPerDelete)) {
+      const command = new DeleteObjectsCommand({
+        Bucket: targetBucketName,
+        Delete: { Objects: chunk.map((key) => ({ Key: key })) },
+      });
+      await client.send(command);
+    }
+    throw new Error(
+      `Unable to copy ${failed.length} of ${keys.length} file(s) of hash[${hash}] from the S3 bucket ${sourceBucketName} to ${targetBucketName}: ${failed[0].reason.message}`,
+    );
+  }
+
+  await copyObject(
+    client,
+    sourceBucketName,
+    targetBucketName,
+    manifestKey,
+    copyAcl,
+  );
+
+  return [...keys, manifestKey];
+};
+
+export { copyVersion };
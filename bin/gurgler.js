@@ -1,9 +1,23 @@
 #! /usr/bin/env node
 
-import { configureCmd, deployCmd, releaseCmd, cleanupCmd } from "./v2.mjs";
-import _ from "lodash";
-import { join } from "path";
-import { readFileSync } from "fs";
+import {
+  configureCmd,
+  deployCmd,
+  releaseCmd,
+  rollbackCmd,
+  promoteCmd,
+  statusCmd,
+  listCmd,
+  historyCmd,
+  lockCmd,
+  unlockCmd,
+  pinCmd,
+  unpinCmd,
+  verifyCmd,
+  syncCmd,
+  cleanupCmd,
+} from "./v2.mjs";
+import { loadConfig, validateConfig, validateGlobs } from "./config.mjs";
 import { Command } from "commander";
 
 const program = new Command();
@@ -14,48 +28,31 @@ const program = new Command();
  * *******************
  */
 
-const packagePath = join(process.env.PWD, "package.json");
-let rawPackageData = readFileSync(packagePath);
-let packageData = JSON.parse(rawPackageData);
-
-// TODO There"s got to be a better way to get the path for this.
-const gurglerPath = join(process.env.PWD, "gurgler.json");
-
-const packageName = packageData["name"];
-const gurglerConfig = packageData["gurgler"];
-const environments = gurglerConfig["environments"];
-const bucketNames = gurglerConfig["bucketNames"];
-const lambdaFunctions = gurglerConfig["lambdaFunctions"];
-const bucketPath = gurglerConfig["bucketPath"];
-const bucketRegion = gurglerConfig["bucketRegion"];
-const globs = gurglerConfig["localFileGlobs"];
-const githubRepoUrl = gurglerConfig["githubRepoUrl"];
-
-
-if (_.isEmpty(packageName)) {
-  console.error("The package name is not set.");
-  process.exit(1);
-}
-
-if (_.isEmpty(bucketNames)) {
-  console.error("The config value bucketNames is not set.");
-  process.exit(1);
-}
-
-if (_.isEmpty(lambdaFunctions)) {
-  console.error("The config value lambdaFunctions is not set.");
+let config;
+try {
+  config = validateConfig(loadConfig());
+} catch (err) {
+  console.error(err.message);
   process.exit(1);
 }
 
-if (_.isEmpty(bucketPath)) {
-  console.error("The config value bucketPath is not set.");
-  process.exit(1);
-}
-
-if (_.isEmpty(bucketRegion)) {
-  console.error("The config value bucketRegion is not set.");
-  process.exit(1);
-}
+const {
+  packageName,
+  gurglerPath,
+  environments,
+  bucketNames,
+  lambdaFunctions,
+  bucketPath,
+  bucketRegion,
+  localFileGlobs: globs,
+  githubRepoUrl,
+  hashFilenames,
+  acl,
+  contentTypes,
+  compression,
+  sourceMaps,
+  retention,
+} = config;
 
 /**
  * *****************
@@ -63,64 +60,13 @@ if (_.isEmpty(bucketRegion)) {
  * *****************
  */
 
-const validateGlobs = () => {
-  if (!_.has(gurglerConfig, "localFileGlobs")) {
-    console.error("The config value localFileGlobs is not set.");
+const exitOnInvalidGlobs = () => {
+  try {
+    validateGlobs(globs);
+  } catch (err) {
+    console.error(err.message);
     process.exit(1);
   }
-  if (!_.isArray(globs)) {
-    console.error("The config value localFileGlobs is not an array.");
-    process.exit(1);
-  }
-  if (_.isEmpty(globs)) {
-    console.error("The config value localFileGlobs is empty.");
-    process.exit(1);
-  }
-
-  globs.forEach((glob) => {
-    if (!_.has(glob, "pattern")) {
-      console.error(
-        "At least one glob pattern is not set in the config value localFileGlobs.",
-      );
-      process.exit(1);
-    }
-    if (!_.isString(glob.pattern)) {
-      console.error(
-        "At least one glob pattern is not a string in the config value localFileGlobs.",
-      );
-      process.exit(1);
-    }
-    if (_.isEmpty(glob.pattern)) {
-      console.error(
-        "At least one glob pattern is empty in the config value localFileGlobs.",
-      );
-      process.exit(1);
-    }
-
-    if (!_.has(glob, "ignore")) {
-      return;
-    }
-
-    if (!_.isArray(glob.ignore)) {
-      console.error("At least one glob ignore value is not an array.");
-      process.exit(1);
-    }
-
-    glob.ignore.forEach((pattern) => {
-      if (!_.isString(pattern)) {
-        console.error(
-          "At least one glob ignore pattern is not a string in the config value localFileGlobs.",
-        );
-        process.exit(1);
-      }
-      if (_.isEmpty(pattern)) {
-        console.error(
-          "At least one glob ignore pattern is empty in the config value localFileGlobs.",
-        );
-        process.exit(1);
-      }
-    });
-  });
 };
 
 program
@@ -129,19 +75,65 @@ program
     "configures a gurgler.json in the project root to be referenced in the build and deploy process",
   )
   .action((commit, branch) => {
-    validateGlobs();
+    exitOnInvalidGlobs();
     configureCmd(gurglerPath, bucketPath, commit, branch);
   });
 
 program
   .command("deploy [gitCommitSha] [gitBranch]")
   .description(
-    "sends all assets to S3 (at a particular commit on a particular branch) appending the file's checksum to each filename",
+    "sends all assets to S3 (at a particular commit on a particular branch), optionally appending the file's checksum to each filename",
   )
   .option("-p --pretend", "Do not actually send the files")
+  .option(
+    "--concurrency <uploads>",
+    "how many files to upload at once",
+    (value) => parseInt(value, 10),
+    8,
+  )
+  .option(
+    "--hash-filenames",
+    "put each file's checksum into its filename (e.g. app.3f2a1c9.js), same as the hashFilenames config value",
+  )
+  .option(
+    "-f, --force",
+    "send every file, even the ones that are already in the bucket unchanged",
+  )
   .action((gitCommitSha, gitBranch, options) => {
-    validateGlobs();
-    deployCmd(bucketRegion, bucketNames, gurglerPath, globs, options.pretend);
+    exitOnInvalidGlobs();
+    deployCmd(bucketRegion, bucketNames, gurglerPath, globs, {
+      pretend: options.pretend,
+      concurrency: options.concurrency,
+      hashFilenames: Boolean(options.hashFilenames || hashFilenames),
+      acl,
+      contentTypes,
+      compression,
+      sourceMaps,
+      force: Boolean(options.force),
+    });
+  });
+
+program
+  .command("verify <hash>")
+  .description(
+    "checks that every file listed in the manifest of a deployed version is in each bucket, intact",
+  )
+  .action((hash) => {
+    verifyCmd(hash, bucketRegion, bucketNames, bucketPath);
+  });
+
+program
+  .command("sync")
+  .description(
+    "copies the deployed versions that are missing from a bucket over from a bucket that has them",
+  )
+  .option(
+    "--hash <hash>",
+    "only sync this version (at least the first 7 characters of its hash)",
+  )
+  .option("-p, --pretend", "only show which versions are in which bucket")
+  .action((cmdObj) => {
+    syncCmd(cmdObj, bucketRegion, bucketNames, bucketPath, acl);
   });
 
 program
@@ -154,6 +146,34 @@ program
     "-c, --commit <gitSha>",
     "the git sha (commit) of the version to deploy",
   )
+  .option(
+    "--hash <hash>",
+    "the gurgler hash of the version to deploy (at least the first 7 characters)",
+  )
+  .option(
+    "--override-lock <reason>",
+    "release even though the environment is locked, and why",
+  )
+  .option(
+    "-b, --branch <branch>",
+    "only offer the versions built from this git branch",
+  )
+  .option(
+    "--latest",
+    "deploy the latest version built from the --branch, without asking",
+  )
+  .option(
+    "--limit <versions>",
+    "how many of the latest versions to offer (default: 20)",
+  )
+  .option(
+    "-y, --yes",
+    "answer yes to every confirmation and print a JSON summary of the release to stdout (implies --non-interactive)",
+  )
+  .option(
+    "--non-interactive",
+    "never prompt; fail when an answer is missing instead of asking for it",
+  )
 
   .action((cmdObj) => {
     releaseCmd(
@@ -167,10 +187,191 @@ program
     );
   });
 
+program
+  .command("rollback")
+  .description(
+    "puts back the version an environment had before its last release (or its last few releases)",
+  )
+  .option("-e, --environment <environment>", "environment to roll back")
+  .option(
+    "-s, --steps <steps>",
+    "how many releases to go back (default: 1)",
+  )
+  .option(
+    "--override-lock <reason>",
+    "roll back even though the environment is locked, and why",
+  )
+  .option(
+    "-y, --yes",
+    "answer yes to every confirmation and print a JSON summary of the rollback to stdout (implies --non-interactive)",
+  )
+  .option(
+    "--non-interactive",
+    "never prompt; fail when an answer is missing instead of asking for it",
+  )
+  .action((cmdObj) => {
+    rollbackCmd(
+      cmdObj,
+      bucketNames,
+      lambdaFunctions,
+      environments,
+      bucketPath,
+      packageName,
+      githubRepoUrl,
+    );
+  });
+
+program
+  .command("promote")
+  .description(
+    "releases the version that is released to one environment to another, copying it between buckets if needed",
+  )
+  .requiredOption("--from <environment>", "environment to take the version from")
+  .requiredOption("--to <environment>", "environment to release the version to")
+  .option(
+    "--override-lock <reason>",
+    "promote even though the --to environment is locked, and why",
+  )
+  .option(
+    "-y, --yes",
+    "answer yes to every confirmation and print a JSON summary of the promotion to stdout (implies --non-interactive)",
+  )
+  .option(
+    "--non-interactive",
+    "never prompt; fail when an answer is missing instead of asking for it",
+  )
+  .action((cmdObj) => {
+    promoteCmd(
+      cmdObj,
+      bucketNames,
+      lambdaFunctions,
+      environments,
+      bucketPath,
+      packageName,
+      githubRepoUrl,
+      acl,
+    );
+  });
+
+program
+  .command("status")
+  .description(
+    "shows which version is released to each environment, with its git details",
+  )
+  .option("--json", "print the status as JSON")
+  .action((cmdObj) => {
+    statusCmd(cmdObj, environments, bucketNames, bucketPath, packageName);
+  });
+
+program
+  .command("list")
+  .description(
+    "lists every version deployed to the bucket of a server environment, newest first, and where each is released",
+  )
+  .requiredOption(
+    "--env-bucket <serverEnvironment>",
+    "the server environment (key of bucketNames) whose bucket to list",
+  )
+  .option(
+    "-b, --branch <branch>",
+    "only list the versions built from this git branch",
+  )
+  .option(
+    "--since <date>",
+    "only list the versions deployed on or after this date, e.g. 2026-01-01",
+  )
+  .option(
+    "--author <author>",
+    "only list the versions whose commit author contains this",
+  )
+  .option("--json", "print the versions as JSON")
+  .option("--csv", "print the versions as CSV")
+  .action((cmdObj) => {
+    listCmd(cmdObj, environments, bucketNames, bucketPath, packageName);
+  });
+
+program
+  .command("history")
+  .description(
+    "shows who released which version to which environment and what it replaced, newest first",
+  )
+  .option(
+    "-e, --environment <environment>",
+    "only show the history of this environment",
+  )
+  .option("--json", "print the history as JSON")
+  .action((cmdObj) => {
+    historyCmd(cmdObj, bucketNames, environments, bucketPath);
+  });
+
+program
+  .command("lock")
+  .description(
+    "stops anyone from releasing to an environment, e.g. during an incident or a code freeze",
+  )
+  .requiredOption("-e, --environment <environment>", "environment to lock")
+  .requiredOption("--reason <reason>", "why the environment is locked")
+  .action((cmdObj) => {
+    lockCmd(cmdObj, bucketNames, environments, bucketPath);
+  });
+
+program
+  .command("unlock")
+  .description("lets releases to a locked environment happen again")
+  .requiredOption("-e, --environment <environment>", "environment to unlock")
+  .action((cmdObj) => {
+    unlockCmd(cmdObj, bucketNames, environments, bucketPath);
+  });
+
+program
+  .command("pin <hash>")
+  .description(
+    "keeps a deployed version (at least the first 7 characters of its hash) from ever being deleted by delete-old-deploys",
+  )
+  .option("--reason <reason>", "why the version is pinned")
+  .action((hash, cmdObj) => {
+    pinCmd(hash, cmdObj, bucketNames, bucketPath, packageName);
+  });
+
+program
+  .command("unpin <hash>")
+  .description("lets delete-old-deploys delete a pinned version again")
+  .action((hash, cmdObj) => {
+    unpinCmd(hash, cmdObj, bucketNames, bucketPath, packageName);
+  });
+
 program
   .command("delete-old-deploys")
   .description(
-    "delete artifacts from S3 that are older than 90 days and not being used",
+    "delete artifacts from S3 that the retention rules don't keep (by default, older than 90 days and not being used)",
+  )
+  .option(
+    "--older-than <age>",
+    "delete the versions deployed longer ago than this, e.g. 30d (overrides retention.maxAge)",
+  )
+  .option(
+    "--keep <versions>",
+    "always keep the latest so many versions of each branch (overrides retention.keepLatest)",
+  )
+  .option(
+    "--dry-run",
+    "only show the plan: which versions would be deleted from each bucket, their objects, sizes and why",
+  )
+  .option(
+    "--json",
+    "print the plan of --dry-run as JSON, to hand back with --plan",
+  )
+  .option(
+    "--plan <file>",
+    "delete exactly what a plan made with --dry-run --json lists",
+  )
+  .option(
+    "-y, --yes",
+    "answer yes to every confirmation (implies --non-interactive)",
+  )
+  .option(
+    "--non-interactive",
+    "never prompt; fail when a confirmation is needed unless --yes is set",
   )
 
   .action((cmdObj) => {
@@ -182,7 +383,8 @@ program
       bucketRegion,
       bucketPath,
       packageName,
-      githubRepoUrl,
+      retention,
+      sourceMaps,
     );
   });
 
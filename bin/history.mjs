@@ -0,0 +1,162 @@
+import _ from "lodash";
+import {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+} from "@aws-sdk/client-s3";
+import { listAllObjects, mapWithConcurrency } from "./utils.mjs";
+
+/**
+ * Every release of an environment is recorded in the environment's bucket, next to the *.gurgler.json
+ * manifests, one JSON object per release so that two releases at once can't overwrite each other's
+ * record: <bucketPath>/gurgler-history/<environment key>/<releasedAt>-<user>.json. A record looks like:
+ *
+ * {
+ *   "type": "release",              // or "rollback", or "promote"
+ *   "environment": "production",
+ *   "previousHash": "...",          // what was released before, "Unreleased!" if nothing was
+ *   "hash": "...",                  // the gurgler hash that was released
+ *   "gitSha": "...",
+ *   "gitBranch": "main",
+ *   "user": "jane",
+ *   "releasedAt": "2026-01-01T00:00:00.000Z",
+ *   "promotedFrom": "staging",      // only when the version was promoted from another environment
+ *   "lockOverride": "hotfix for #12" // only when the environment was locked, why it was released anyway
+ * }
+ */
+
+/**
+ * @param {string} bucketPath
+ * @param {string} environmentKey
+ * @param {object} record
+ * @returns {string}
+ */
+const makeRecordKey = (bucketPath, environmentKey, record) =>
+  `${bucketPath}/gurgler-history/${environmentKey}/${record.releasedAt}-${
+    record.user || "unknown"
+  }.json`;
+
+const readJsonObject = async (client, bucketName, key) => {
+  const command = new GetObjectCommand({ Bucket: bucketName, Key: key });
+  const response = await client.send(command);
+  return JSON.parse(await response.Body.transformToString());
+};
+
+/**
+ * Read the release history of an environment, oldest first. An environment that has never been
+ * released through gurgler has an empty history.
+ *
+ * @param {string} bucketName
+ * @param {string} bucketPath
+ * @param {string} environmentKey
+ * @returns {Promise<[{object}]>}
+ */
+const readReleaseHistory = async (bucketName, bucketPath, environmentKey) => {
+  const client = new S3Client();
+  const objects = await listAllObjects(client, {
+    Bucket: bucketName,
+    Prefix: `${bucketPath}/gurgler-history/${environmentKey}/`,
+  });
+  const results = await mapWithConcurrency(objects, 8, (object) =>
+    readJsonObject(client, bucketName, object.Key),
+  );
+  const rejected = _.find(results, (result) => result.status === "rejected");
+  if (rejected) {
+    throw rejected.reason;
+  }
+
+  return _.sortBy(_.map(results, "value"), ["releasedAt"]);
+};
+
+/**
+ * Read the release histories of several environments and merge them into one, oldest first.
+ *
+ * @param {object} bucketNames
+ * @param {array} environments
+ * @param {string} bucketPath
+ * @returns {Promise<[{object}]>}
+ */
+const readEnvironmentsReleaseHistory = async (
+  bucketNames,
+  environments,
+  bucketPath,
+) => {
+  const histories = await Promise.all(
+    environments.map((environment) => {
+      // noinspection JSUnresolvedVariable
+      const bucketName = bucketNames[environment.serverEnvironment];
+      if (!bucketName) {
+        // noinspection JSUnresolvedVariable
+        throw new Error(
+          `The server environment ${environment.serverEnvironment} does not exist.`,
+        );
+      }
+      return readReleaseHistory(bucketName, bucketPath, environment.key);
+    }),
+  );
+
+  return _.sortBy(_.flatten(histories), ["releasedAt"]);
+};
+
+/**
+ * Add a record to the release history of an environment.
+ *
+ * @param {string} bucketName
+ * @param {string} bucketPath
+ * @param {string} environmentKey
+ * @param {object} record
+ * @returns {Promise<string>} The key of the record.
+ */
+const appendReleaseRecord = async (
+  bucketName,
+  bucketPath,
+  environmentKey,
+  record,
+) => {
+  const client = new S3Client();
+  const key = makeRecordKey(bucketPath, environmentKey, record);
+  const input = {
+    Bucket: bucketName,
+    Key: key,
+    Body: JSON.stringify(record, null, 2),
+    ContentType: "application/json",
+  };
+  const command = new PutObjectCommand(input);
+  await client.send(command);
+
+  return key;
+};
+
+/**
+ * Work out which hash an environment had before its last so many releases.
+ *
+ * @param {array} history The release history of the environment, oldest first.
+ * @param {number} steps How many releases to go back.
+ * @returns {{hash: string, record: object}} The hash to restore and the record it is restored from.
+ */
+const findRollbackTarget = (history, steps = 1) => {
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error(`The number of steps must be a positive whole number.`);
+  }
+  if (history.length < steps) {
+    throw new Error(
+      `There are only ${history.length} release(s) in the history, unable to go back ${steps}.`,
+    );
+  }
+
+  const record = history[history.length - steps];
+  if (!record.previousHash || record.previousHash === "Unreleased!") {
+    throw new Error(
+      `There was nothing released before ${record.hash} (released ${record.releasedAt}).`,
+    );
+  }
+
+  return { hash: record.previousHash, record };
+};
+
+export {
+  readReleaseHistory,
+  readEnvironmentsReleaseHistory,
+  appendReleaseRecord,
+  findRollbackTarget,
+};
@@ -0,0 +1,97 @@
+import {
+  S3Client,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  PutObjectCommand,
+} from "@aws-sdk/client-s3";
+
+/**
+ * A locked environment can't be released to, e.g. during an incident or a code freeze, unless the lock
+ * is overridden with a reason. The lock of an environment lives in the environment's bucket, next to the
+ * *.gurgler.json manifests, in <bucketPath>/gurgler-locks/<environment key>.json:
+ *
+ * {
+ *   "environment": "production",
+ *   "reason": "code freeze until the 2nd",
+ *   "user": "jane",
+ *   "lockedAt": "2026-01-01T00:00:00.000Z"
+ * }
+ */
+
+/**
+ * @param {string} bucketPath
+ * @param {string} environmentKey
+ * @returns {string}
+ */
+const makeLockKey = (bucketPath, environmentKey) =>
+  `${bucketPath}/gurgler-locks/${environmentKey}.json`;
+
+/**
+ * Read the lock of an environment.
+ *
+ * @param {string} bucketName
+ * @param {string} bucketPath
+ * @param {string} environmentKey
+ * @returns {Promise<object|null>} null when the environment isn't locked.
+ */
+const readLock = async (bucketName, bucketPath, environmentKey) => {
+  const client = new S3Client();
+  const input = {
+    Bucket: bucketName,
+    Key: makeLockKey(bucketPath, environmentKey),
+  };
+  const command = new GetObjectCommand(input);
+
+  let response;
+  try {
+    response = await client.send(command);
+  } catch (err) {
+    if (err.name === "NoSuchKey") {
+      return null;
+    }
+    throw err;
+  }
+
+  return JSON.parse(await response.Body.transformToString());
+};
+
+/**
+ * Lock an environment, replacing any lock it already has.
+ *
+ * @param {string} bucketName
+ * @param {string} bucketPath
+ * @param {object} lock
+ * @returns {Promise<object>} The lock.
+ */
+const writeLock = async (bucketName, bucketPath, lock) => {
+  const client = new S3Client();
+  const input = {
+    Bucket: bucketName,
+    Key: makeLockKey(bucketPath, lock.environment),
+    Body: JSON.stringify(lock, null, 2),
+    ContentType: "application/json",
+  };
+  const command = new PutObjectCommand(input);
+  await client.send(command);
+
+  return lock;
+};
+
+/**
+ * Unlock an environment. Unlocking an environment that isn't locked does nothing.
+ *
+ * @param {string} bucketName
+ * @param {string} bucketPath
+ * @param {string} environmentKey
+ */
+const deleteLock = async (bucketName, bucketPath, environmentKey) => {
+  const client = new S3Client();
+  const input = {
+    Bucket: bucketName,
+    Key: makeLockKey(bucketPath, environmentKey),
+  };
+  const command = new DeleteObjectCommand(input);
+  await client.send(command);
+};
+
+export { readLock, writeLock, deleteLock };
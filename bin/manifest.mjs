@@ -0,0 +1,188 @@
+import _ from "lodash";
+import { GetObjectCommand, HeadObjectCommand } from "@aws-sdk/client-s3";
+import { mapWithConcurrency } from "./utils.mjs";
+
+/**
+ * The <prefix>.gurgler.json manifest that deploy sends to the bucket is the local gurgler.json plus an
+ * inventory of every file that belongs to the version:
+ *
+ * {
+ *   "commit": "...",
+ *   "branch": "...",
+ *   "raw": "...",
+ *   "hash": "...",
+ *   "prefix": "...",
+ *   "files": [
+ *     {
+ *       "key": "<prefix>/app.js",
+ *       "size": 1234,
+ *       "sha256": "...",
+ *       "contentType": "application/javascript; charset=utf-8"
+ *     }
+ *   ]
+ * }
+ *
+ * Each asset also carries its SHA-256 in its "sha256" metadata, so it can be checked with a HEAD request.
+ *
+ * A compressed file also has its "encoding" (gzip or br) and its "originalSize" before compression; its
+ * size and SHA-256 are those of the compressed bytes in the bucket.
+ *
+ * When the files are deployed with hashed filenames, the manifest also maps the logical name of each
+ * file to the name it was deployed under, both relative to the prefix:
+ *
+ *   "assets": { "app.js": "app.3f2a1c9.js" }
+ *
+ * Source maps that were sent privately are not in the files, they are listed on their own along with
+ * the bucket they went to:
+ *
+ *   "sourceMaps": [{ "bucket": "...", "key": "...", "size": 1234, "sha256": "..." }]
+ */
+
+/**
+ * @param {object} gurglerData The contents of the local gurgler.json.
+ * @param {array} uploads What readFileAndDeploy returned for each asset.
+ * @param {object} options
+ * @param {boolean} options.hashFilenames Whether to include the map of logical names to hashed names.
+ * @param {array} options.sourceMaps What readFileAndDeploy returned for each source map.
+ * @returns {object}
+ */
+const makeManifest = (
+  gurglerData,
+  uploads,
+  { hashFilenames = false, sourceMaps = [] } = {},
+) => {
+  const files = _.sortBy(
+    _.uniqBy(uploads, "remoteFilePath").map((upload) => {
+      const file = {
+        key: upload.remoteFilePath,
+        size: upload.size,
+        sha256: upload.sha256,
+        contentType: upload.contentType,
+      };
+      if (upload.encoding) {
+        file.encoding = upload.encoding;
+        file.originalSize = upload.originalSize;
+      }
+      return file;
+    }),
+    ["key"],
+  );
+
+  const manifest = { ...gurglerData, files };
+
+  if (sourceMaps.length > 0) {
+    manifest.sourceMaps = _.sortBy(
+      sourceMaps.map((upload) => ({
+        bucket: upload.bucketName,
+        key: upload.remoteFilePath,
+        size: upload.size,
+        sha256: upload.sha256,
+      })),
+      ["bucket", "key"],
+    );
+  }
+
+  if (!hashFilenames) {
+    return manifest;
+  }
+
+  const assets = {};
+  for (const upload of _.sortBy(
+    uploads.filter((upload) => !upload.sibling),
+    ["name"],
+  )) {
+    assets[upload.name] = upload.remoteFilePath.slice(
+      gurglerData.prefix.length + 1,
+    );
+  }
+
+  return { ...manifest, assets };
+};
+
+/**
+ * @param {S3Client} client
+ * @param {string} bucketName
+ * @param {string} manifestKey
+ * @returns {Promise<object>}
+ */
+const readManifest = async (client, bucketName, manifestKey) => {
+  const input = {
+    Bucket: bucketName,
+    Key: manifestKey,
+  };
+  const command = new GetObjectCommand(input);
+  const response = await client.send(command);
+
+  return JSON.parse(await response.Body.transformToString());
+};
+
+/**
+ * Check every file in the inventory of a manifest against what is actually in the bucket.
+ *
+ * @param {S3Client} client
+ * @param {string} bucketName
+ * @param {object} manifest
+ * @param {number} concurrency
+ * @returns {Promise<{verified: string[], problems: [{key: string, problem: string}]}>}
+ */
+const verifyDeployedFiles = async (
+  client,
+  bucketName,
+  manifest,
+  concurrency = 8,
+) => {
+  if (!_.isArray(manifest.files)) {
+    throw new Error(
+      `The manifest for hash[${manifest.hash}] has no file inventory; it was deployed by an older version of gurgler.`,
+    );
+  }
+
+  const results = await mapWithConcurrency(
+    manifest.files,
+    concurrency,
+    async (file) => {
+      const input = {
+        Bucket: bucketName,
+        Key: file.key,
+      };
+      const command = new HeadObjectCommand(input);
+      const response = await client.send(command);
+
+      if (response.ContentLength !== file.size) {
+        return `expected ${file.size} bytes, found ${response.ContentLength}`;
+      }
+      const sha256 = _.get(response, ["Metadata", "sha256"]);
+      if (sha256 !== file.sha256) {
+        return `expected SHA-256 ${file.sha256}, found ${sha256 || "none"}`;
+      }
+      if (response.ContentType !== file.contentType) {
+        return `expected content type ${file.contentType}, found ${response.ContentType}`;
+      }
+      if (file.encoding && response.ContentEncoding !== file.encoding) {
+        return `expected content encoding ${file.encoding}, found ${
+          response.ContentEncoding || "none"
+        }`;
+      }
+      return null;
+    },
+  );
+
+  const verified = [];
+  const problems = [];
+  results.forEach((result, i) => {
+    const { key } = manifest.files[i];
+    if (result.status === "rejected") {
+      const problem =
+        result.reason.name === "NotFound" ? "missing" : result.reason.message;
+      problems.push({ key, problem });
+    } else if (result.value) {
+      problems.push({ key, problem: result.value });
+    } else {
+      verified.push(key);
+    }
+  });
+
+  return { verified, problems };
+};
+
+export { makeManifest, readManifest, verifyDeployedFiles };
@@ -0,0 +1,104 @@
+import _ from "lodash";
+
+// File extensions and the content types they are served with.
+const contentTypes = {
+  // Text
+  ".css": "text/css",
+  ".csv": "text/csv",
+  ".htm": "text/html",
+  ".html": "text/html",
+  ".md": "text/markdown",
+  ".txt": "text/plain",
+  // Scripts and data
+  ".cjs": "application/javascript",
+  ".js": "application/javascript",
+  ".mjs": "application/javascript",
+  ".json": "application/json",
+  ".jsonld": "application/ld+json",
+  ".map": "application/json",
+  ".webmanifest": "application/manifest+json",
+  ".xml": "application/xml",
+  ".wasm": "application/wasm",
+  // Images
+  ".apng": "image/apng",
+  ".avif": "image/avif",
+  ".bmp": "image/bmp",
+  ".gif": "image/gif",
+  ".ico": "image/x-icon",
+  ".jpeg": "image/jpeg",
+  ".jpg": "image/jpeg",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".tif": "image/tiff",
+  ".tiff": "image/tiff",
+  ".webp": "image/webp",
+  // Fonts
+  ".eot": "application/vnd.ms-fontobject",
+  ".otf": "font/otf",
+  ".ttf": "font/ttf",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  // Audio and video
+  ".m4a": "audio/mp4",
+  ".mp3": "audio/mpeg",
+  ".mp4": "video/mp4",
+  ".oga": "audio/ogg",
+  ".ogg": "audio/ogg",
+  ".ogv": "video/ogg",
+  ".wav": "audio/wav",
+  ".weba": "audio/webm",
+  ".webm": "video/webm",
+  // Everything else
+  ".gz": "application/gzip",
+  ".pdf": "application/pdf",
+  ".zip": "application/zip",
+};
+
+// Content types that are text but don't start with text/, so they get a charset too.
+const textContentTypes = [
+  "application/javascript",
+  "application/json",
+  "application/ld+json",
+  "application/manifest+json",
+  "application/xml",
+  "image/svg+xml",
+];
+
+const isTextContentType = (contentType) =>
+  contentType.startsWith("text/") || textContentTypes.includes(contentType);
+
+/**
+ * The content type to serve a file with, based on its extension. Text types get a utf-8 charset.
+ * Overrides map extensions (with or without the dot) to content types, which are used as they are.
+ *
+ * @param {string} ext The extension, including the dot, e.g. ".js".
+ * @param {object} overrides
+ * @returns {string}
+ */
+const getContentType = (ext, overrides = {}) => {
+  const lowerExt = ext.toLowerCase();
+  const override = _.find(
+    overrides,
+    (contentType, key) =>
+      (key.startsWith(".") ? key : `.${key}`).toLowerCase() === lowerExt,
+  );
+  if (override) {
+    return override;
+  }
+
+  const contentType = contentTypes[lowerExt];
+  if (!contentType) {
+    return "application/octet-stream";
+  }
+  return isTextContentType(contentType)
+    ? `${contentType}; charset=utf-8`
+    : contentType;
+};
+
+// The content types that are worth compressing: text, more or less.
+const isCompressible = (contentType) => {
+  const mediaType = contentType.split(";")[0].trim();
+  return isTextContentType(mediaType) || mediaType === "application/wasm";
+};
+
+export { contentTypes, getContentType, isCompressible };
@@ -0,0 +1,116 @@
+import _ from "lodash";
+import {
+  S3Client,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  PutObjectCommand,
+} from "@aws-sdk/client-s3";
+import { listAllObjects, mapWithConcurrency } from "./utils.mjs";
+
+/**
+ * A pinned version is never deleted by delete-old-deploys. The pins of a bucket live next to the
+ * *.gurgler.json manifests, one JSON object per pinned version so that two people pinning at once
+ * can't overwrite each other's pin: <bucketPath>/gurgler-pins/<hash>.json. A pin looks like:
+ *
+ * {
+ *   "hash": "...",
+ *   "reason": "last known good build",
+ *   "user": "jane",
+ *   "pinnedAt": "2026-01-01T00:00:00.000Z"
+ * }
+ */
+
+/**
+ * @param {string} bucketPath
+ * @param {string} hash
+ * @returns {string}
+ */
+const makePinKey = (bucketPath, hash) =>
+  `${bucketPath}/gurgler-pins/${hash}.json`;
+
+/**
+ * Read the pins of a bucket. A bucket nothing was ever pinned in has no pins.
+ *
+ * @param {string} bucketName
+ * @param {string} bucketPath
+ * @returns {Promise<[{object}]>}
+ */
+const readPins = async (bucketName, bucketPath) => {
+  const client = new S3Client();
+  const objects = await listAllObjects(client, {
+    Bucket: bucketName,
+    Prefix: `${bucketPath}/gurgler-pins/`,
+  });
+  const results = await mapWithConcurrency(objects, 8, async (object) => {
+    const command = new GetObjectCommand({
+      Bucket: bucketName,
+      Key: object.Key,
+    });
+    const response = await client.send(command);
+    return JSON.parse(await response.Body.transformToString());
+  });
+  const rejected = _.find(results, (result) => result.status === "rejected");
+  if (rejected) {
+    throw rejected.reason;
+  }
+
+  return _.map(results, "value");
+};
+
+/**
+ * Read the pins of every bucket. A version pinned in one bucket is protected in all of them.
+ *
+ * @param {object} bucketNames
+ * @param {string} bucketPath
+ * @returns {Promise<[{object}]>}
+ */
+const readAllPins = async (bucketNames, bucketPath) => {
+  const pins = await Promise.all(
+    _.uniq(Object.values(bucketNames)).map((bucketName) =>
+      readPins(bucketName, bucketPath),
+    ),
+  );
+  return _.uniqBy(_.flatten(pins), "hash");
+};
+
+/**
+ * Pin a version in every bucket, replacing any pin it already has.
+ *
+ * @param {object} bucketNames
+ * @param {string} bucketPath
+ * @param {object} pin
+ */
+const addPin = async (bucketNames, bucketPath, pin) => {
+  const client = new S3Client();
+  for (const bucketName of _.uniq(Object.values(bucketNames))) {
+    const input = {
+      Bucket: bucketName,
+      Key: makePinKey(bucketPath, pin.hash),
+      Body: JSON.stringify(pin, null, 2),
+      ContentType: "application/json",
+    };
+    const command = new PutObjectCommand(input);
+    await client.send(command);
+  }
+};
+
+/**
+ * Unpin a version in every bucket. Unpinning a version that isn't pinned does nothing.
+ *
+ * @param {object} bucketNames
+ * @param {string} bucketPath
+ * @param {string} hash
+ */
+const removePin = async (bucketNames, bucketPath, hash) => {
+  const client = new S3Client();
+  for (const bucketName of _.uniq(Object.values(bucketNames))) {
+    const input = {
+      Bucket: bucketName,
+      Key: makePinKey(bucketPath, hash),
+    };
+    const command = new DeleteObjectCommand(input);
+    await client.send(command);
+  }
+};
+
+export { readAllPins, addPin, removePin };
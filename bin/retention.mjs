@@ -0,0 +1,195 @@
+import _ from "lodash";
+import { minimatch } from "minimatch";
+
+/**
+ * Which deployed versions delete-old-deploys keeps is set by the "retention" config value:
+ *
+ * {
+ *   "maxAge": "90d",           // versions deployed longer ago than this can be deleted (h, d or w)
+ *   "keepLatest": 5,           // always keep the latest N versions of each branch
+ *   "keepBranches": ["main"],  // always keep the versions of the branches matching these globs
+ *   "keepReleases": 3,         // always keep the last K versions released to each environment
+ *   "protectReleasedWithin": "14d" // never delete what was released to any environment this recently
+ * }
+ *
+ * Whatever is protected is never deleted, whatever the rules say: what is released to an environment
+ * right now, what was released within protectReleasedWithin according to the release history, and
+ * what is pinned.
+ */
+
+const defaultRetention = {
+  maxAge: "90d",
+  keepLatest: 0,
+  keepBranches: [],
+  keepReleases: 0,
+  protectReleasedWithin: "14d",
+};
+
+const durationUnits = {
+  h: 1000 * 60 * 60,
+  d: 1000 * 60 * 60 * 24,
+  w: 1000 * 60 * 60 * 24 * 7,
+};
+
+/**
+ * @param {string} duration e.g. "30d", "12h" or "2w".
+ * @returns {number} The duration in milliseconds. Throws if it isn't a duration.
+ */
+const parseDuration = (duration) => {
+  const match = /^(\d+)([hdw])$/.exec(_.toString(duration).trim());
+  if (!match) {
+    throw new Error(`"${duration}" is not a duration, e.g. 12h, 30d or 2w.`);
+  }
+  return Number(match[1]) * durationUnits[match[2]];
+};
+
+/**
+ * @param {object} context
+ * @param {array} context.environments The environments with their release data.
+ * @param {array} context.history The release history of the environments, oldest first.
+ * @param {array} context.pins
+ * @param {string} context.protectReleasedWithin
+ * @param {Date} context.now
+ * @returns {function(string): (string|undefined)} Why the version with a hash is protected, if it is.
+ */
+const makeProtection = ({
+  environments = [],
+  history = [],
+  pins = [],
+  protectReleasedWithin = defaultRetention.protectReleasedWithin,
+  now = new Date(),
+} = {}) => {
+  const cutoff = now.getTime() - parseDuration(protectReleasedWithin);
+
+  return (hash) => {
+    const environmentKeys = environments
+      .filter((environment) => environment.releasedHash === hash)
+      .map((environment) => environment.key);
+    if (environmentKeys.length > 0) {
+      return `released to ${environmentKeys.join(", ")}`;
+    }
+
+    const pin = _.find(pins, (pin) => pin.hash === hash);
+    if (pin) {
+      return `pinned by ${pin.user || "someone"}${
+        pin.reason ? `: ${pin.reason}` : ""
+      }`;
+    }
+
+    const recentEnvironmentKeys = _.uniq(
+      history
+        .filter(
+          (record) =>
+            record.hash === hash &&
+            new Date(record.releasedAt).getTime() >= cutoff,
+        )
+        .map((record) => record.environment),
+    );
+    if (recentEnvironmentKeys.length > 0) {
+      return `released to ${recentEnvironmentKeys.join(
+        ", ",
+      )} less than ${protectReleasedWithin} ago`;
+    }
+
+    return undefined;
+  };
+};
+
+/**
+ * Decide which versions to keep and which to delete. The rules are checked in order and the first one
+ * that applies decides.
+ *
+ * @param {array} versions The deployed versions, each with hash, gitBranch and lastModified.
+ * @param {object} retention The retention config value with any flags folded in.
+ * @param {object} context
+ * @param {array} context.environments The environments with their release data.
+ * @param {array} context.history The release history of the environments, oldest first.
+ * @param {array} context.pins
+ * @param {Date} context.now
+ * @returns {[{version: object, keep: boolean, rule: string}]} In the order of the versions.
+ */
+const applyRetention = (
+  versions,
+  retention,
+  { environments = [], history = [], pins = [], now = new Date() } = {},
+) => {
+  const {
+    maxAge,
+    keepLatest,
+    keepBranches,
+    keepReleases,
+    protectReleasedWithin,
+  } = {
+    ...defaultRetention,
+    ...retention,
+  };
+  const cutoff = now.getTime() - parseDuration(maxAge);
+  const findProtection = makeProtection({
+    environments,
+    history,
+    pins,
+    protectReleasedWithin,
+    now,
+  });
+
+  const recentReleases = _.mapValues(
+    _.groupBy(history, "environment"),
+    (records) =>
+      _.takeRight(records, keepReleases).map((record) => record.hash),
+  );
+  const recentlyReleasedTo = (hash) =>
+    keepReleases > 0
+      ? _.keys(_.pickBy(recentReleases, (hashes) => hashes.includes(hash)))
+      : [];
+
+  const latestOfBranch = _.mapValues(
+    _.groupBy(versions, (version) => version.gitBranch || ""),
+    (branchVersions) =>
+      _.take(
+        _.orderBy(branchVersions, ["lastModified"], ["desc"]),
+        keepLatest,
+      ).map((version) => version.hash),
+  );
+
+  return versions.map((version) => {
+    const decide = (keep, rule) => ({ version, keep, rule });
+    const branch = version.gitBranch || "";
+
+    const protection = findProtection(version.hash);
+    if (protection) {
+      return decide(true, protection);
+    }
+
+    const recentEnvironmentKeys = recentlyReleasedTo(version.hash);
+    if (recentEnvironmentKeys.length > 0) {
+      return decide(
+        true,
+        `one of the last ${keepReleases} release(s) of ${recentEnvironmentKeys.join(
+          ", ",
+        )}`,
+      );
+    }
+
+    const pattern = _.find(keepBranches, (pattern) =>
+      minimatch(branch, pattern),
+    );
+    if (pattern) {
+      return decide(true, `branch ${branch} matches keepBranches ${pattern}`);
+    }
+
+    if (latestOfBranch[branch].includes(version.hash)) {
+      return decide(
+        true,
+        `one of the latest ${keepLatest} of branch ${branch || "(none)"}`,
+      );
+    }
+
+    if (version.lastModified.getTime() >= cutoff) {
+      return decide(true, `deployed less than ${maxAge} ago`);
+    }
+
+    return decide(false, `deployed more than ${maxAge} ago`);
+  });
+};
+
+export { parseDuration, makeProtection, applyRetention };
@@ -0,0 +1,195 @@
+import _ from "lodash";
+import { existsSync } from "fs";
+import { readFile } from "node:fs/promises";
+import { createHash } from "crypto";
+import { dirname, join, parse, resolve } from "path";
+import { makeHashedFilename } from "./utils.mjs";
+
+/**
+ * Scripts and stylesheets point at their source map with a comment on their last line:
+ *
+ *   //# sourceMappingURL=app.js.map
+ *   /*# sourceMappingURL=app.css.map *\/
+ *
+ * (The older //@ form is understood too.) These helpers find that comment, find the map it points at
+ * and change or remove it, so the maps can be sent somewhere private.
+ */
+
+const sourceMappingURLPattern =
+  /(?:\/\/[#@][ \t]*sourceMappingURL=([^\s'"]+)[ \t]*|\/\*[#@][ \t]*sourceMappingURL=([^\s*]+)[ \t]*\*\/)[ \t]*(?:\r?\n)?\s*$/;
+
+// The extensions of the files that can have a source map.
+const sourceMappedExtensions = [".js", ".mjs", ".cjs", ".css"];
+
+/**
+ * @param {string} content
+ * @returns {{url: string, comment: string, index: number}|undefined} The last sourceMappingURL comment.
+ */
+const findSourceMappingURL = (content) => {
+  const match = sourceMappingURLPattern.exec(content);
+  if (!match) {
+    return undefined;
+  }
+  return {
+    url: match[1] || match[2],
+    comment: match[0],
+    index: match.index,
+  };
+};
+
+/**
+ * Find the source map of a file: the file its sourceMappingURL comment points at, or failing that the
+ * file of the same name plus .map. Inline (data:) and remote maps are not files, so they are ignored.
+ *
+ * @param {string} localFilePath
+ * @param {string} content
+ * @returns {string|undefined} The path to the map.
+ */
+const findSourceMapPath = (localFilePath, content) => {
+  const found = findSourceMappingURL(content);
+  if (found && !/^[a-z][a-z0-9+.-]*:/i.test(found.url)) {
+    const mapPath = resolve(
+      dirname(localFilePath),
+      decodeURIComponent(found.url.split(/[?#]/)[0]),
+    );
+    if (existsSync(mapPath)) {
+      return mapPath;
+    }
+  }
+
+  const siblingPath = `${localFilePath}.map`;
+  return existsSync(siblingPath) ? resolve(siblingPath) : undefined;
+};
+
+/**
+ * Point the sourceMappingURL comment of a file somewhere else, or take it out.
+ *
+ * @param {string} content
+ * @param {string|undefined} url Where the map can be found now; undefined removes the comment.
+ * @param {boolean} isCss
+ * @returns {string}
+ */
+const replaceSourceMappingURL = (content, url, isCss) => {
+  const found = findSourceMappingURL(content);
+  if (!found) {
+    return content;
+  }
+
+  const before = content.slice(0, found.index);
+  if (url === undefined) {
+    return before.replace(/\r?\n$/, "") + "\n";
+  }
+  const comment = isCss
+    ? `/*# sourceMappingURL=${url} */`
+    : `//# sourceMappingURL=${url}`;
+  return `${before}${comment}\n`;
+};
+
+/**
+ * Split the files to deploy into the assets and their source maps, according to the sourceMaps config
+ * value:
+ *
+ * {
+ *   "bucket": "private-bucket",        // where the maps go, defaults to the deploy buckets
+ *   "prefix": "sourcemaps",            // put in front of the deploy prefix for the maps' keys
+ *   "acl": "private",                  // the default, "none" sends no ACL
+ *   "sourceMappingURL": "keep",        // or "remove", or "rewrite" to point it at url
+ *   "url": "https://maps.example.com"  // for "rewrite"; the key of the map is appended
+ * }
+ *
+ * Every script and stylesheet with a map gets that map, whether or not the map was matched by a glob.
+ * The map is named after the file it belongs to (after any hashing) plus .map. Maps that were matched
+ * by a glob but don't belong to any file are sent privately as well, under their own name. An asset
+ * whose comment was changed gets its new contents as data, and the hash to name it by as filenameHash.
+ *
+ * @param {array} localFiles What collectLocalFiles found.
+ * @param {object} sourceMaps The sourceMaps config value.
+ * @param {string} prefix The deploy prefix.
+ * @param {boolean} hashFilenames
+ * @returns {Promise<{assets: array, maps: array}>} The maps are uploads of their own, each with the
+ *   keyPrefix it goes under and, when the maps have a bucket of their own, its bucketName.
+ */
+const separateSourceMaps = async (
+  localFiles,
+  sourceMaps,
+  prefix,
+  hashFilenames,
+) => {
+  const {
+    bucket,
+    acl = "private",
+    sourceMappingURL = "keep",
+    url = "",
+  } = sourceMaps;
+  const keyPrefix = sourceMaps.prefix
+    ? join(sourceMaps.prefix, prefix)
+    : prefix;
+  const makeMap = (localFilePath, name, uploadOptions) => ({
+    localFilePath,
+    name,
+    keyPrefix,
+    bucketName: bucket,
+    uploadOptions: { ...uploadOptions, acl },
+  });
+
+  const isMap = (localFile) => parse(localFile.localFilePath).ext === ".map";
+  const assets = [];
+  const maps = [];
+
+  for (const localFile of localFiles.filter((localFile) => !isMap(localFile))) {
+    const { ext } = parse(localFile.localFilePath);
+    if (!sourceMappedExtensions.includes(ext)) {
+      assets.push(localFile);
+      continue;
+    }
+
+    const content = (await readFile(localFile.localFilePath)).toString();
+    const mapPath = findSourceMapPath(localFile.localFilePath, content);
+    if (!mapPath) {
+      assets.push(localFile);
+      continue;
+    }
+
+    let data = content;
+    if (sourceMappingURL === "remove") {
+      data = replaceSourceMappingURL(content, undefined, ext === ".css");
+    }
+
+    // With hashed filenames the name of the map depends on the contents of the file, and with a
+    // rewritten comment the contents of the file depend on the name of the map. The hash is taken
+    // before the comment is rewritten to break the circle.
+    const sha256 = createHash("sha256").update(data).digest("hex");
+    const mapName = `${
+      hashFilenames
+        ? makeHashedFilename(localFile.name, sha256)
+        : localFile.name
+    }.map`;
+
+    if (sourceMappingURL === "rewrite") {
+      data = replaceSourceMappingURL(
+        content,
+        `${_.trimEnd(url, "/")}/${keyPrefix}/${mapName}`,
+        ext === ".css",
+      );
+    }
+
+    assets.push(
+      data === content
+        ? localFile
+        : { ...localFile, data, filenameHash: sha256 },
+    );
+    maps.push(makeMap(mapPath, mapName, localFile.uploadOptions));
+  }
+
+  // The maps nobody points at.
+  for (const localFile of localFiles.filter(isMap)) {
+    const mapPath = resolve(localFile.localFilePath);
+    if (!maps.some((map) => map.localFilePath === mapPath)) {
+      maps.push(makeMap(mapPath, localFile.name, localFile.uploadOptions));
+    }
+  }
+
+  return { assets, maps: _.uniqBy(maps, "localFilePath") };
+};
+
+export { separateSourceMaps };
@@ -1,58 +1,125 @@
-import { ListObjectsV2Command, DeleteObjectsCommand } from "@aws-sdk/client-s3";
+import { ListObjectsV2Command } from "@aws-sdk/client-s3";
+import { join, parse } from "path";
+import { brotliCompressSync, constants, gzipSync } from "zlib";
 
 const makeHashDigest = hash => hash.substring(0, 7);
 
-const getContentType = (ext) => {
-  let contentType = "application/octet-stream";
-  // TODO: Add more content types
-  if  (ext === ".css") {
-    contentType = "text/css";
-  } else if (ext === ".json") {
-    contentType = "application/json";
-  } else if (ext === ".html") {
-    contentType = "text/html";
-  } else if (ext === ".js") {
-    contentType = "application/javascript";
-  } else if (ext === ".svg") {
-    contentType = "image/svg+xml";
-  } else if (ext === ".woff") {
-    contentType = "application/font-woff";
+// js/app.js with a checksum of 3f2a1c9... becomes js/app.3f2a1c9.js
+const makeHashedFilename = (filename, hash) => {
+  const { dir, name, ext } = parse(filename);
+  return join(dir, `${name}.${makeHashDigest(hash)}${ext}`);
+};
+
+// What a compressed copy of a file is called, next to the file.
+const encodingExtensions = {
+  gzip: ".gz",
+  br: ".br",
+};
+
+const compress = (data, encoding) => {
+  if (encoding === "gzip") {
+    return gzipSync(data, { level: constants.Z_BEST_COMPRESSION });
   }
-  return contentType;
+  if (encoding === "br") {
+    return brotliCompressSync(data, {
+      params: {
+        [constants.BROTLI_PARAM_QUALITY]: constants.BROTLI_MAX_QUALITY,
+        [constants.BROTLI_PARAM_SIZE_HINT]: Buffer.byteLength(data),
+      },
+    });
+  }
+  throw new Error(`Unknown content encoding: ${encoding}`);
 };
 
-// Delete all the things in a directory on S3.
-// Taken from here:
-// https://stackoverflow.com/questions/20207063/how-can-i-delete-folder-on-s3-with-node-js
-async function emptyS3Directory(s3, bucket, dir) {
-  const listParams = {
-    Bucket: bucket,
-    Prefix: dir
-  };
+// Follow the continuation tokens of a ListObjectsV2Command until S3 says there is nothing left,
+// collecting the Contents or the CommonPrefixes of every page.
+const listAll = async (client, input, field) => {
+  let items = [];
+  let continuationToken = undefined;
 
-  const command = new ListObjectsV2Command(listParams);
-  const listedObjects = await s3.send(command);
+  do {
+    const command = new ListObjectsV2Command({
+      ...input,
+      ContinuationToken: continuationToken
+    });
+    const response = await client.send(command);
 
-  if (listedObjects.Contents.length === 0) return;
+    // The field is missing altogether when a page is empty.
+    items = items.concat(response[field] || []);
+    continuationToken = response.IsTruncated
+      ? response.NextContinuationToken
+      : undefined;
+  } while (continuationToken);
 
-  const deleteParams = {
-    Bucket: bucket,
-    Delete: { Objects: [] }
-  };
+  return items;
+};
+
+/**
+ * List every object in a bucket that matches the input of a ListObjectsV2Command.
+ *
+ * @param {S3Client} client
+ * @param {object} input e.g. {Bucket, Prefix, Delimiter}
+ * @returns {Promise<[{Key: string, LastModified: Date, Size: number}]>}
+ */
+const listAllObjects = (client, input) => listAll(client, input, "Contents");
 
-  listedObjects.Contents.forEach(({ Key }) => {
-    deleteParams.Delete.Objects.push({ Key });
-  });
+/**
+ * List the "directories" right under a prefix in a bucket, e.g. some-stuff/<hash>/.
+ *
+ * @param {S3Client} client
+ * @param {string} bucketName
+ * @param {string} prefix Ends with a /.
+ * @returns {Promise<string[]>}
+ */
+const listAllPrefixes = async (client, bucketName, prefix) =>
+  (
+    await listAll(
+      client,
+      { Bucket: bucketName, Prefix: prefix, Delimiter: "/" },
+      "CommonPrefixes"
+    )
+  ).map(commonPrefix => commonPrefix.Prefix);
 
-  const deleteObjectsCommand = new DeleteObjectsCommand(deleteParams);
-  await s3.send(deleteObjectsCommand);
+// DeleteObjectsCommand takes no more than this many keys at once.
+const maxKeysPerDelete = 1000;
 
-  // If our list of objects was not the "whole" list, call this function again.
-  if (listedObjects.IsTruncated) await emptyS3Directory(bucket, dir);
-}
+/**
+ * Call fn on every item, with no more than `concurrency` calls in flight at once. Like Promise.allSettled,
+ * it never rejects and resolves with the outcome of each call in the order of the items.
+ *
+ * @param {array} items
+ * @param {number} concurrency
+ * @param {function} fn
+ * @returns {Promise<[{status: string, value?: *, reason?: *}]>}
+ */
+const mapWithConcurrency = async (items, concurrency, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      try {
+        results[i] = { status: "fulfilled", value: await fn(items[i], i) };
+      } catch (reason) {
+        results[i] = { status: "rejected", reason };
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+};
 
 export {
   makeHashDigest,
-  getContentType,
-  emptyS3Directory
+  makeHashedFilename,
+  encodingExtensions,
+  compress,
+  listAllObjects,
+  listAllPrefixes,
+  maxKeysPerDelete,
+  mapWithConcurrency
 };
@@ -1,84 +1,250 @@
 import inquirer from "inquirer";
-import { join, parse } from "path";
-import { emptyS3Directory, getContentType, makeHashDigest } from "./utils.mjs";
+import { isAbsolute, join, parse, relative, resolve, sep } from "path";
+import {
+  listAllObjects,
+  makeHashDigest
+} from "./utils.mjs";
+import { getContentType, isCompressible } from "./mime.mjs";
 import _ from "lodash";
 import { SSMClient, GetParametersCommand } from "@aws-sdk/client-ssm";
 import {
   S3Client,
-  ListObjectsCommand,
   HeadObjectCommand,
-  DeleteObjectsCommand,
   PutObjectCommand,
 } from "@aws-sdk/client-s3";
 import { LambdaClient, InvokeCommand } from "@aws-sdk/client-lambda";
 import { getGitInfo } from "./git.mjs";
+import { separateSourceMaps } from "./sourcemaps.mjs";
+import { copyVersion } from "./copy.mjs";
+import {
+  applyRetention,
+  makeProtection,
+  parseDuration,
+} from "./retention.mjs";
+import { addPin, readAllPins, removePin } from "./pins.mjs";
+import { deleteLock, readLock, writeLock } from "./locks.mjs";
+import { checkReleaseBranch } from "./branches.mjs";
+import {
+  deleteAbandonedDeploy,
+  deletePlannedSourceMaps,
+  deletePlannedVersion,
+  isCleanupPlan,
+  makeBucketPlan,
+  readCleanupPlan,
+} from "./cleanup.mjs";
+import {
+  appendReleaseRecord,
+  findRollbackTarget,
+  readReleaseHistory,
+  readEnvironmentsReleaseHistory,
+} from "./history.mjs";
+import {
+  makeManifest,
+  readManifest,
+  verifyDeployedFiles,
+} from "./manifest.mjs";
 import { IncomingWebhook } from "@slack/webhook";
 import { glob } from "glob";
 import { createHash } from "crypto";
-import { writeFile, statSync } from "fs";
-import { readFile } from "node:fs/promises";
+import { statSync } from "fs";
+import { readFile, writeFile } from "node:fs/promises";
 import * as utils from "./utils.mjs";
 
+/**
+ * Check whether the object a PutObject would create is already in the bucket, with the same contents
+ * (going by the sha256 metadata) and the same headers. Without s3:ListBucket on the bucket, S3 answers
+ * 403 Forbidden instead of 404 Not Found for a missing key, so an object that can't be looked at is
+ * taken to be changed and sent again.
+ *
+ * @param {S3Client} client
+ * @param {object} input The input for PutObjectCommand.
+ * @returns {Promise<boolean>}
+ */
+
+const isUnchanged = async (client, input) => {
+  const command = new HeadObjectCommand({
+    Bucket: input.Bucket,
+    Key: input.Key,
+  });
+
+  let existing;
+  try {
+    existing = await client.send(command);
+  } catch (err) {
+    if (
+      err.name === "NotFound" ||
+      _.get(err, ["$metadata", "httpStatusCode"]) === 403
+    ) {
+      return false;
+    }
+    throw err;
+  }
+
+  // S3 hands metadata keys back in lower case.
+  const metadata = _.mapKeys(input.Metadata, (value, key) => key.toLowerCase());
+
+  return (
+    _.isEqual(existing.Metadata, metadata) &&
+    existing.ContentType === input.ContentType &&
+    existing.CacheControl === input.CacheControl &&
+    existing.ContentEncoding === input.ContentEncoding &&
+    existing.ContentDisposition === input.ContentDisposition
+  );
+};
+
 /**
  * Send the file to S3. All files except gurgler.json are considered assets and will be prefixed with
  * the appropriate value. If there are more than 1 hierarchy to the prefix, gurgler.json will maintain
  * all prefixes save the last, to which it will be appended. For example, a prefix of assets/asdsf will
  * result in all assets being stored within that prefix but gurgler.json will become assets/asdf.gurgler.json.
  *
- * @param {string} region
- * @param {array} bucketNames
+ * @param {S3Client} client
+ * @param {string} bucketName
  * @param {string} prefix
  * @param {string} localFilePath
  * @param {string} gitInfo
- * @param {Boolean} pretend
+ * @param {object} options
+ * @param {Boolean} options.pretend
+ * @param {Buffer|string} options.data What to send instead of the contents of the file.
+ * @param {Boolean} options.hashFilename Put the checksum of the file into its key, e.g. app.3f2a1c9.js.
+ * @param {string} options.filenameHash The checksum to put into the key, when it's not the file's own.
+ * @param {Boolean} options.skipUnchanged Don't send the file if the object in the bucket already has the
+ *   same checksum and headers (ACLs can't be compared, so they are not).
+ * @param {string} options.name The path of the file relative to the prefix, defaults to its filename.
+ * @param {object} options.uploadOptions acl, cacheControl, contentEncoding, contentDisposition and
+ *   metadata for the object, as set on its entry in localFileGlobs. An acl of "none" (or null) sends no
+ *   ACL at all, for buckets with Object Ownership enforced; without an acl it is "public-read". Its
+ *   contentTypes map extensions to content types, on top of the ones gurgler knows.
+ * @param {object} options.compress Send the file compressed: {encoding: "gzip" or "br", sibling: boolean}.
+ *   A sibling is sent under the key of the file plus .gz or .br, otherwise the compressed file takes
+ *   the place of the file. When the file doesn't come out smaller, no sibling is sent at all and the
+ *   file takes its own place.
+ * @param {function} options.log Where to say what happened to the file.
+ * @returns {Promise<undefined|{localFilePath: string, bucketName: string, name: string, remoteFilePath: string, size: number, sha256: string, contentType: string, skipped: boolean, encoding?: string, originalSize?: number, sibling?: boolean}>}
  */
 
 const readFileAndDeploy = async (
-  region,
-  bucketNames,
+  client,
+  bucketName,
   prefix,
   localFilePath,
   gitInfo,
-  pretend = false
+  {
+    pretend = false,
+    data = undefined,
+    hashFilename = false,
+    name = parse(localFilePath).base,
+    uploadOptions = {},
+    compress = undefined,
+    filenameHash = undefined,
+    skipUnchanged = false,
+    log = console.log,
+  } = {}
 ) => {
-  // TODO upload map file if it exists.
-
-  const data = await readFile(localFilePath);
-  const { base, ext } = parse(localFilePath);
-  const contentType = getContentType(ext);
+  const original = _.isUndefined(data) ? await readFile(localFilePath) : data;
+  const originalSha256 = createHash("sha256").update(original).digest("hex");
+  let body = original;
+  if (compress) {
+    const compressed = utils.compress(original, compress.encoding);
+    if (Buffer.byteLength(compressed) < Buffer.byteLength(original)) {
+      body = compressed;
+    } else if (compress.sibling) {
+      // Tiny files come out bigger, the file itself is sent anyway.
+      log(
+        `Not sending ${localFilePath} compressed with ${compress.encoding}, it doesn't come out smaller`
+      );
+      return undefined;
+    } else {
+      compress = undefined;
+    }
+  }
+  const size = Buffer.byteLength(body);
+  const sha256 = compress
+    ? createHash("sha256").update(body).digest("hex")
+    : originalSha256;
+  const { ext } = parse(localFilePath);
+  const contentType = getContentType(ext, uploadOptions.contentTypes);
 
   let remoteFilePath;
-  if (base === "gurgler.json") {
+  if (name === "gurgler.json") {
     // prefix.gurgler.json is a sibling to the prefix under which all the assets are keyed.
-    remoteFilePath = `${prefix}.${base}`;
+    remoteFilePath = `${prefix}.${name}`;
+  } else if (hashFilename) {
+    remoteFilePath = join(
+      prefix,
+      utils.makeHashedFilename(name, filenameHash || originalSha256)
+    );
   } else {
-    remoteFilePath = join(prefix, base);
+    remoteFilePath = join(prefix, name);
+  }
+  if (compress && compress.sibling) {
+    remoteFilePath += utils.encodingExtensions[compress.encoding];
   }
+  const sizes = compress
+    ? ` (${compress.encoding}, ${Buffer.byteLength(original)} -> ${size} bytes)`
+    : "";
+
+  let skipped = false;
+  if (pretend) {
+    log(
+      `Only pretending to deploy ${localFilePath}${sizes} to S3 bucket ${bucketName} ${remoteFilePath}`
+    );
+  } else {
+    const input = {
+      Key: remoteFilePath,
+      Body: body,
+      Bucket: bucketName,
+      Metadata: { ...uploadOptions.metadata, "git-info": gitInfo, sha256 },
+      ContentType: contentType,
+    };
 
-  for (const bucketName in bucketNames) {
-    if (pretend) {
-      console.log(
-        `Only pretending to deploy ${localFilePath} to S3 bucket ${bucketNames[bucketName]} ${remoteFilePath}`
+    const acl = _.has(uploadOptions, "acl") ? uploadOptions.acl : "public-read";
+    if (!_.isEmpty(acl) && acl !== "none") {
+      input.ACL = acl;
+    }
+    if (!_.isEmpty(uploadOptions.cacheControl)) {
+      input.CacheControl = uploadOptions.cacheControl;
+    }
+    if (compress) {
+      input.ContentEncoding = compress.encoding;
+    } else if (!_.isEmpty(uploadOptions.contentEncoding)) {
+      input.ContentEncoding = uploadOptions.contentEncoding;
+    }
+    if (!_.isEmpty(uploadOptions.contentDisposition)) {
+      input.ContentDisposition = uploadOptions.contentDisposition;
+    }
+
+    skipped = skipUnchanged && (await isUnchanged(client, input));
+    if (skipped) {
+      log(
+        `Skipped ${localFilePath}, it is unchanged in S3 bucket ${bucketName} ${remoteFilePath}`
       );
     } else {
-      const client = new S3Client({region: region});
-      const input = {
-        Key: remoteFilePath,
-        Body: data,
-        Bucket: bucketNames[bucketName],
-        ACL: "public-read",
-        Metadata: { "git-info": gitInfo },
-        ContentType: contentType,
-      };
-
       const command = new PutObjectCommand(input);
       await client.send(command);
 
-      console.log(
-        `Successfully deployed ${localFilePath} to S3 bucket ${bucketNames[bucketName]} ${remoteFilePath}`
+      log(
+        `Successfully deployed ${localFilePath}${sizes} to S3 bucket ${bucketName} ${remoteFilePath}`
       );
     }
   }
+
+  const uploaded = {
+    localFilePath,
+    bucketName,
+    name,
+    remoteFilePath,
+    size,
+    sha256,
+    contentType,
+    skipped,
+  };
+  if (compress) {
+    uploaded.encoding = compress.encoding;
+    uploaded.originalSize = Buffer.byteLength(original);
+    uploaded.sibling = compress.sibling;
+  }
+  return uploaded;
 };
 
 /**
@@ -128,7 +294,61 @@ const requestCurrentlyReleasedVersions = async (environments) => {
   return environmentsWithReleaseData;
 };
 
+/**
+ * Whether a command was told to never prompt, either with --non-interactive or with --yes.
+ *
+ * @param {object} cmdObj
+ * @returns {boolean}
+ */
+
+const isNonInteractive = (cmdObj) =>
+  Boolean(cmdObj.yes || cmdObj.nonInteractive);
+
+/**
+ * Stand in for a confirmation prompt when running non-interactively: --yes answers it, without --yes
+ * there is nobody to answer it so it throws.
+ *
+ * @param {object} cmdObj
+ * @param {string} message The question that would have been asked.
+ * @returns {boolean}
+ */
+
+const confirmNonInteractively = (cmdObj, message) => {
+  if (!cmdObj.yes) {
+    throw new Error(
+      `${message}\nThis needs a confirmation and the command is running non-interactively; pass --yes to confirm.`
+    );
+  }
+  return true;
+};
+
+/**
+ * Find an environment by its key. Throws if there is no such environment.
+ *
+ * @param {array} environments
+ * @param {string} key
+ * @returns {object}
+ */
+
+const findEnvironment = (environments, key) => {
+  const environment = _.find(environments, (e) => e.key === key);
+  if (!environment) {
+    const keysStr = environments.map((e) => e.key).join(", ");
+    throw new Error(
+      `"${key}" does not appear to be a valid environment. The choices are: ${keysStr}`
+    );
+  }
+  return environment;
+};
+
 const determineEnvironment = (cmdObj, environments) => {
+  if (_.isEmpty(cmdObj.environment) && isNonInteractive(cmdObj)) {
+    return Promise.reject(
+      new Error(
+        "The environment must be set with --environment when running non-interactively."
+      )
+    );
+  }
   if (_.isEmpty(cmdObj.environment)) {
     return inquirer.prompt([
       {
@@ -146,25 +366,16 @@ const determineEnvironment = (cmdObj, environments) => {
     ]);
   } else {
     return new Promise((resolve) => {
-      const environment = _.find(
-        environments,
-        (e) => e.key === cmdObj.environment
-      );
-      if (!environment) {
-        const keys = environments.map((e) => e.key);
-        const keysStr = join(keys, ", ");
-        console.error(
-          `"${cmdObj.environment}" does not appear to be a valid environment. The choices are: ${keysStr}`
-        );
-        process.exit(1);
-      }
-      resolve({ environment: environment });
+      resolve({
+        environment: findEnvironment(environments, cmdObj.environment),
+      });
     });
   }
 };
 
 /**
- * Get all the assets in a bucket with a particular prefix (which essentially acts like a file path).
+ * Get all the gurgler.json manifests in a bucket with a particular prefix (which essentially acts like
+ * a file path), however many pages of results that takes.
  * @param bucketName
  * @param bucketPath
  * @returns {Promise<[{object}]>}
@@ -179,21 +390,7 @@ const getDeployedVersionList = async (bucketName, bucketPath) => {
     Prefix: bucketPath + "/",
   };
 
-  let allVersions = [];
-
-  // Get the first batch.
-  const command = new ListObjectsCommand(input);
-  let response = await client.send(command);
-  allVersions = allVersions.concat(response.Contents);
-
-  if (response.IsTruncated) {
-    // If there's more get those too
-    input.ContinuationToken = response.NextContinuationToken;
-    const innerCommand = new ListObjectsCommand(input);
-    response = await client.send(innerCommand);
-
-    allVersions = allVersions.concat(response.Contents);
-  }
+  let allVersions = await listAllObjects(client, input);
 
   // Make sure we're only ever pulling our gurgler.json manifest files.
   allVersions = allVersions.filter((version) => {
@@ -206,56 +403,12 @@ const getDeployedVersionList = async (bucketName, bucketPath) => {
       filepath: version.Key,
       directoryPath: version.Key.split(".gurgler.json")[0],
       lastModified: version.LastModified,
+      size: version.Size,
       bucket: bucketName,
     };
   });
 };
 
-const getDeployedVersionListWithMetadata = (
-  bucketName,
-  bucketPath,
-  packageName
-) => {
-  const filterFilesToFindGurglerDeploys = async (versions) => {
-    let artifacts = [];
-    for (const version of versions) {
-      const { base, ext } = parse(version.filepath);
-      const split = base.split(".");
-
-      if (ext === ".json" && split[1] === "gurgler") {
-        version.hash = split[0];
-        version.hashDigest = makeHashDigest(version.hash);
-        version.dirFilepath = split[0];
-        artifacts.push(version);
-      }
-    }
-    return Promise.resolve(artifacts);
-  };
-
-  const decorateArtifactsWithGitInfo = async (versions) => {
-    let artifacts = [];
-    for (const version of versions) {
-      const artifact = await addGitInfo(version, packageName);
-      artifacts.push(artifact);
-    }
-    return Promise.resolve(artifacts);
-  };
-
-  return getDeployedVersionList(bucketName, bucketPath)
-    .then((versions) => {
-      return _.sortBy(versions, ["lastModified"]);
-    })
-    .then(filterFilesToFindGurglerDeploys)
-    .then((versions) => {
-      return Promise.all(
-        versions.map((version) => {
-          return addGitSha(version);
-        })
-      );
-    })
-    .then(decorateArtifactsWithGitInfo);
-};
-
 /**
  * Sort the list of versions so the latest are first then return a slice of the first so many.
  *
@@ -282,18 +435,19 @@ const formatAndLimitDeployedVersions = (versions, size) => {
       }
     });
 
-  return _.uniqBy(returnedVersions, (v) => v.hashDigest);
+  // Two versions can share a hashDigest, only the full hash tells them apart.
+  return _.uniqBy(returnedVersions, (v) => v.hash);
 };
 
 /**
  * Take a version object and add git data to it.
  *
  * @param version
+ * @param {S3Client} client Shared when adding the git data to many versions.
  * @returns {Promise<object>}
  */
 
-const addGitSha = async (version) => {
-  const client = new S3Client();
+const addGitSha = async (version, client = new S3Client()) => {
   const input = {
     Bucket: version.bucket,
     Key: version.filepath,
@@ -330,200 +484,690 @@ const addGitInfo = async (version, packageName) => {
     ""
   );
   version.displayName = `${commitDateStr} | ${packageName}[${hashShort}] | ${author} | git[${gitShaShort}] | [${gitBranch}] ${gitMessage}`;
+  version.gitAuthor = gitInfo.get("author");
+  version.gitDate = gitInfo.get("date");
+  version.gitMessage = gitInfo.get("message");
 
   return version;
 };
 
-const determineVersionToRelease = (
-  cmdObj,
-  bucketNames,
-  environment,
-  bucketPath,
-  packageName
-) => {
+/**
+ * @param {object} bucketNames
+ * @param {object} environment
+ * @returns {string} The name of the bucket the environment is served from. Throws if there is none.
+ */
+
+const getEnvironmentBucketName = (bucketNames, environment) => {
   // noinspection JSUnresolvedVariable
   const bucketName = _.get(bucketNames, environment.serverEnvironment);
   if (!bucketName) {
     // noinspection JSUnresolvedVariable
-    console.error(
+    throw new Error(
       `The server environment ${environment.serverEnvironment} does not exist.`
     );
-    process.exit(1);
   }
+  return bucketName;
+};
 
-  return getDeployedVersionList(bucketName, bucketPath)
-    .then((versions) => {
-      return formatAndLimitDeployedVersions(versions, 20); // Only show last 20 versions
-    })
-    .then((versions) => {
-      return Promise.all(versions.map((version) => addGitSha(version)));
-    })
-    .then((versions) => {
-      return Promise.all(
-        versions.map((version) => addGitInfo(version, packageName))
-      );
-    })
-    .then((versions) => {
-      if (versions.length === 0) {
-        console.log(
-          "\n> There are no currently deployed versions. Run 'gurgler configure <gitCommitSha> <gitBranch>' and `gurgler deploy` and try again.\n"
-        );
-        process.exit(0);
-      }
-      if (_.isEmpty(cmdObj.commit)) {
-        return inquirer.prompt([
-          {
-            type: "list",
-            name: "version",
-            message: "Which deployed version would you like to release?",
-            choices: versions.map((version) => {
-              return { name: version.displayName, value: version };
-            }),
-          },
-        ]);
-      } else {
-        return new Promise((resolve) => {
-          if (cmdObj.commit.length < 7) {
-            console.error(
-              `The checksum "${cmdObj.commit}" is not long enough, it should be at least 7 characters.`
-            );
-            process.exit(1);
-          }
-
-          const version = _.find(versions, (version) => {
-            return _.startsWith(version.gitSha, cmdObj.commit);
-          });
+/**
+ * Get every version deployed in the bucket for an environment, newest first, with the git sha and branch
+ * it was built from. The rest of the git data is left out, it takes a git command per version.
+ *
+ * @param {object} bucketNames
+ * @param {object} environment
+ * @param {string} bucketPath
+ * @returns {Promise<[{object}]>}
+ */
 
-          // TODO If we do not find it in this list of assets, check older assets too.
+const getAllDeployedVersions = async (bucketNames, environment, bucketPath) => {
+  const bucketName = getEnvironmentBucketName(bucketNames, environment);
 
-          if (!version) {
-            console.error(
-              `"${cmdObj.commit}" does not appear to be a valid checksum.`
-            );
-            process.exit(1);
-          }
+  const versionList = await getDeployedVersionList(bucketName, bucketPath);
+  const versions = formatAndLimitDeployedVersions(
+    versionList,
+    versionList.length
+  );
+  const client = new S3Client();
+  const results = await utils.mapWithConcurrency(versions, 8, (version) =>
+    addGitSha(version, client)
+  );
+  const rejected = _.find(results, (result) => result.status === "rejected");
+  if (rejected) {
+    throw rejected.reason;
+  }
 
-          resolve({ version: version });
-        });
-      }
-    });
+  return versions;
 };
 
 /**
- * Sends a message when the Slack when a release happens.
+ * Get the most recently deployed versions in the bucket for an environment, with their git data.
  *
- * @param {object} environment The users chosen environment.
- * @param {object} version The users chosen version.
- * @param packageName
- * @param githubRepoUrl
+ * @param {object} bucketNames
+ * @param {object} environment
+ * @param {string} bucketPath
+ * @param {string} packageName
+ * @param {number} size
+ * @param {string} branch Only get the versions built from this git branch.
+ * @returns {Promise<[{object}]>}
  */
 
-const sendReleaseMessage = (environment, version, packageName, githubRepoUrl) => {
-  const userDoingDeploy = process.env.USER;
-  const simpleMessage = `\n> ${userDoingDeploy} successfully released the version ${packageName}[${version.gitSha}] to ${environment.key}\n`;
+const getRecentDeployedVersions = async (
+  bucketNames,
+  environment,
+  bucketPath,
+  packageName,
+  size = 20,
+  branch = undefined
+) => {
+  let versions;
+  if (_.isEmpty(branch)) {
+    versions = formatAndLimitDeployedVersions(
+      await getDeployedVersionList(
+        getEnvironmentBucketName(bucketNames, environment),
+        bucketPath
+      ),
+      size
+    );
+    await Promise.all(versions.map((version) => addGitSha(version)));
+  } else {
+    // The branch is only known once the manifest has been asked for its git data.
+    versions = (
+      await getAllDeployedVersions(bucketNames, environment, bucketPath)
+    )
+      .filter((version) => version.gitBranch === branch)
+      .slice(0, size);
+  }
 
-  if (!_.isEmpty(environment.slackWebHookUrl)) {
-    const slackMessage = [
-      `*${userDoingDeploy}* successfully released a new ${packageName} version to *${environment.key}*`,
-      `_${version.displayName}_`,
-      `<${githubRepoUrl}/commit/${version.gitSha}|View commit on GitHub>`,
-    ].join("\n");
+  return Promise.all(
+    versions.map((version) => addGitInfo(version, packageName))
+  );
+};
 
-    const webhook = new IncomingWebhook(environment.slackWebHookUrl);
+/**
+ * Find the version that was built from a particular git commit. Throws if there is no such version.
+ *
+ * @param {array} versions
+ * @param {string} commit A git sha, at least 7 characters long.
+ * @returns {object}
+ */
 
-    (async () => {
-      await webhook.send({
-        text: slackMessage,
-      });
-    })().catch((err) => console.error(err));
+const findVersionByCommit = (versions, commit) => {
+  if (commit.length < 7) {
+    throw new Error(
+      `The checksum "${commit}" is not long enough, it should be at least 7 characters.`
+    );
+  }
+
+  const version = _.find(versions, (version) => {
+    return _.startsWith(version.gitSha, commit);
+  });
 
+  if (!version) {
+    throw new Error(`"${commit}" does not appear to be a valid checksum.`);
   }
 
-  console.log(simpleMessage);
+  return version;
 };
 
 /**
- * Update the value for the chosen environment in SSM.
+ * Find the newest version built from a particular git commit among all the versions in the bucket for an
+ * environment, with its git data. Throws if there is no such version.
  *
+ * @param {object} bucketNames
  * @param {object} environment
- * @param {object} version
- * @param {object} lambdaFunctions
+ * @param {string} bucketPath
  * @param {string} packageName
- * @param {object} githubRepoUrl
+ * @param {string} commit A git sha, at least 7 characters long.
+ * @returns {Promise<object>}
  */
 
-const release = async (
+const findDeployedVersionByCommit = async (
+  bucketNames,
   environment,
-  version,
-  lambdaFunctions,
+  bucketPath,
   packageName,
-  githubRepoUrl
+  commit
 ) => {
-  if (!_.has(environment, "serverEnvironment")) {
-    throw new Error(
-      `The server environment for this environment is not set: ${environment.key}`
-    );
+  const versions = await getAllDeployedVersions(
+    bucketNames,
+    environment,
+    bucketPath
+  );
+  return addGitInfo(findVersionByCommit(versions, commit), packageName);
+};
+
+/**
+ * Find the newest version built from a particular git branch among all the versions in the bucket for an
+ * environment, with its git data. Throws if there is no such version.
+ *
+ * @param {object} bucketNames
+ * @param {object} environment
+ * @param {string} bucketPath
+ * @param {string} packageName
+ * @param {string} branch
+ * @returns {Promise<object>}
+ */
+
+const findLatestDeployedVersionOnBranch = async (
+  bucketNames,
+  environment,
+  bucketPath,
+  packageName,
+  branch
+) => {
+  const versions = await getAllDeployedVersions(
+    bucketNames,
+    environment,
+    bucketPath
+  );
+  const version = _.find(versions, (version) => version.gitBranch === branch);
+  if (!version) {
+    throw new Error(`There are no deployed versions of branch[${branch}].`);
   }
 
-  // noinspection JSUnresolvedVariable
-  if (!_.has(lambdaFunctions, environment.serverEnvironment)) {
-    // noinspection JSUnresolvedVariable
+  return addGitInfo(version, packageName);
+};
+
+/**
+ * Find the deployed version with a particular gurgler hash among all the versions in the bucket for an
+ * environment, with its git data. Throws if there is no such version.
+ *
+ * @param {object} bucketNames
+ * @param {object} environment
+ * @param {string} bucketPath
+ * @param {string} packageName
+ * @param {string} hash The gurgler hash, or at least the first 7 characters of it.
+ * @returns {Promise<object>}
+ */
+
+const findDeployedVersionByHash = async (
+  bucketNames,
+  environment,
+  bucketPath,
+  packageName,
+  hash
+) => {
+  if (hash.length < 7) {
     throw new Error(
-      `the lambda function for the following environment is not set: ${environment.serverEnvironment}`
+      `The hash "${hash}" is not long enough, it should be at least 7 characters.`
     );
   }
 
-  // noinspection JSUnresolvedVariable
-  const functionName = lambdaFunctions[environment.serverEnvironment];
-
-  const client = new LambdaClient();
-  const input = {
-    FunctionName: functionName,
-    InvocationType: "RequestResponse",
-    Payload: JSON.stringify({
-      parameterName: environment.ssmKey,
-      parameterValue: version.hash,
-    }),
-  };
-  const command = new InvokeCommand(input);
-  const response = await client.send(command);
-
-  if (response.StatusCode !== 200) {
+  const bucketName = getEnvironmentBucketName(bucketNames, environment);
+  const versions = await getDeployedVersionList(bucketName, bucketPath);
+  const matches = formatAndLimitDeployedVersions(
+    versions,
+    versions.length
+  ).filter((version) => _.startsWith(version.hash, hash));
+  if (matches.length === 0) {
     throw new Error(
-      `unsuccessful lambda invocation; unable to release asset version; got status ${response.StatusCode}`
+      `The version hash[${makeHashDigest(hash)}] is no longer deployed in the S3 bucket ${bucketName}.`
     );
   }
-  if (response.FunctionError) {
+  if (matches.length > 1) {
     throw new Error(
-      `one or more parameter store values could not be updated: ${response.Payload}`
+      `The hash "${hash}" matches ${matches.length} deployed versions, use more of it.`
     );
   }
-  sendReleaseMessage(environment, version, packageName, githubRepoUrl);
+
+  const version = matches[0];
+  await addGitSha(version);
+  return addGitInfo(version, packageName);
 };
 
-const confirmRelease = (environment, version, packageName) => {
+/**
+ * Make sure the options for picking a version to release make sense together. Throws if they do not.
+ *
+ * @param {object} cmdObj
+ */
+
+const checkVersionOptions = (cmdObj) => {
+  const chosenBy = [
+    !_.isEmpty(cmdObj.commit),
+    !_.isEmpty(cmdObj.hash),
+    Boolean(cmdObj.latest),
+  ].filter(Boolean);
+  if (chosenBy.length > 1) {
+    throw new Error(
+      "Only one of --commit, --hash and --branch with --latest can be used at once."
+    );
+  }
+  if (cmdObj.latest && _.isEmpty(cmdObj.branch)) {
+    throw new Error("--latest needs a --branch to take the latest version of.");
+  }
+  if (
+    !_.isUndefined(cmdObj.limit) &&
+    !(Number.isInteger(Number(cmdObj.limit)) && Number(cmdObj.limit) > 0)
+  ) {
+    throw new Error("The limit must be a positive whole number.");
+  }
+};
+
+const determineVersionToRelease = (
+  cmdObj,
+  bucketNames,
+  environment,
+  bucketPath,
+  packageName
+) => {
+  let findVersion;
+  if (!_.isEmpty(cmdObj.commit)) {
+    findVersion = findDeployedVersionByCommit(
+      bucketNames,
+      environment,
+      bucketPath,
+      packageName,
+      cmdObj.commit
+    );
+  } else if (!_.isEmpty(cmdObj.hash)) {
+    findVersion = findDeployedVersionByHash(
+      bucketNames,
+      environment,
+      bucketPath,
+      packageName,
+      cmdObj.hash
+    );
+  } else if (cmdObj.latest) {
+    findVersion = findLatestDeployedVersionOnBranch(
+      bucketNames,
+      environment,
+      bucketPath,
+      packageName,
+      cmdObj.branch
+    );
+  }
+  if (findVersion) {
+    return findVersion.then((version) => ({ version }));
+  }
+
+  if (isNonInteractive(cmdObj)) {
+    return Promise.reject(
+      new Error(
+        "The version must be set with --commit, --hash or --branch and --latest when running non-interactively."
+      )
+    );
+  }
+
+  return getRecentDeployedVersions(
+    bucketNames,
+    environment,
+    bucketPath,
+    packageName,
+    _.isUndefined(cmdObj.limit) ? 20 : Number(cmdObj.limit),
+    cmdObj.branch
+  ).then((versions) => {
+    if (versions.length === 0) {
+      const message = _.isEmpty(cmdObj.branch)
+        ? "\n> There are no currently deployed versions. Run 'gurgler configure <gitCommitSha> <gitBranch>' and `gurgler deploy` and try again.\n"
+        : `\n> There are no currently deployed versions of branch[${cmdObj.branch}].\n`;
+      console.log(message);
+      process.exit(0);
+    }
+    return inquirer.prompt([
+      {
+        type: "list",
+        name: "version",
+        message: "Which deployed version would you like to release?",
+        choices: versions.map((version) => {
+          return { name: version.displayName, value: version };
+        }),
+      },
+    ]);
+  });
+};
+
+/**
+ * Sends a message when the Slack when a release happens.
+ *
+ * @param {object} environment The users chosen environment.
+ * @param {object} version The users chosen version.
+ * @param packageName
+ * @param githubRepoUrl
+ * @param {object} options
+ * @param {string} options.type "release", "rollback" or "promote".
+ * @param {string} options.promotedFrom The key of the environment a promoted version came from.
+ * @param {function} options.log Where to write the message for the person running the release.
+ */
+
+const sendReleaseMessage = (
+  environment,
+  version,
+  packageName,
+  githubRepoUrl,
+  { type = "release", promotedFrom, log = console.log } = {}
+) => {
+  const userDoingDeploy = process.env.USER;
+  const simpleMessages = {
+    release: `\n> ${userDoingDeploy} successfully released the version ${packageName}[${version.gitSha}] to ${environment.key}\n`,
+    rollback: `\n> ${userDoingDeploy} successfully rolled back ${environment.key} to the version ${packageName}[${version.gitSha}]\n`,
+    promote: `\n> ${userDoingDeploy} successfully promoted the version ${packageName}[${version.gitSha}] from ${promotedFrom} to ${environment.key}\n`,
+  };
+  const simpleMessage = simpleMessages[type];
+
+  if (!_.isEmpty(environment.slackWebHookUrl)) {
+    const headlines = {
+      release: `*${userDoingDeploy}* successfully released a new ${packageName} version to *${environment.key}*`,
+      rollback: `*${userDoingDeploy}* rolled back *${environment.key}* to a previous ${packageName} version`,
+      promote: `*${userDoingDeploy}* promoted the ${packageName} version on *${promotedFrom}* to *${environment.key}*`,
+    };
+    const headline = headlines[type];
+    const slackMessage = [
+      headline,
+      `_${version.displayName}_`,
+      `<${githubRepoUrl}/commit/${version.gitSha}|View commit on GitHub>`,
+    ].join("\n");
+
+    const webhook = new IncomingWebhook(environment.slackWebHookUrl);
+
+    (async () => {
+      await webhook.send({
+        text: slackMessage,
+      });
+    })().catch((err) => console.error(err));
+
+  }
+
+  log(simpleMessage);
+};
+
+/**
+ * Make sure an environment isn't locked before releasing to it. Throws if it is, unless the lock is
+ * overridden with a reason.
+ *
+ * @param {object} bucketNames
+ * @param {object} environment
+ * @param {string} bucketPath
+ * @param {string} overrideLock Why the lock is overridden, if it is.
+ * @param {function} log
+ * @returns {Promise<object|null>} The lock that was overridden, null if the environment isn't locked.
+ */
+
+const checkEnvironmentLock = async (
+  bucketNames,
+  environment,
+  bucketPath,
+  overrideLock,
+  log = console.log
+) => {
+  const lock = await readLock(
+    getEnvironmentBucketName(bucketNames, environment),
+    bucketPath,
+    environment.key
+  );
+  if (!lock) {
+    return null;
+  }
+
+  const lockMessage = `${environment.key} was locked by ${lock.user || "someone"} on ${lock.lockedAt}: ${lock.reason}`;
+  if (_.isEmpty(overrideLock)) {
+    throw new Error(
+      `Refusing to release, ${lockMessage}\nUnlock it with "gurgler unlock -e ${environment.key}", or release anyway with --override-lock "<reason>".`
+    );
+  }
+  log(`Warning: ${lockMessage}\nOverriding the lock: ${overrideLock}`);
+  return lock;
+};
+
+/**
+ * Update the value for the chosen environment in SSM, and record the release in the environment's
+ * release history when the bucket path is given. By then the release is live, so a record that
+ * could not be written is returned as historyError rather than thrown.
+ *
+ * @param {object} environment
+ * @param {object} version
+ * @param {object} lambdaFunctions
+ * @param {string} packageName
+ * @param {object} githubRepoUrl
+ * @param {object} options
+ * @param {string} options.bucketPath
+ * @param {string} options.type "release", "rollback" or "promote".
+ * @param {string} options.promotedFrom The key of the environment a promoted version came from.
+ * @param {string} options.lockOverride Why the lock of the environment was overridden, if it was.
+ * @param {function} options.log
+ * @returns {Promise<{historyError?: string}>}
+ */
+
+const release = async (
+  environment,
+  version,
+  lambdaFunctions,
+  packageName,
+  githubRepoUrl,
+  {
+    bucketPath,
+    type = "release",
+    promotedFrom = undefined,
+    lockOverride = undefined,
+    log = console.log,
+  } = {}
+) => {
+  if (!_.has(environment, "serverEnvironment")) {
+    throw new Error(
+      `The server environment for this environment is not set: ${environment.key}`
+    );
+  }
+
+  // noinspection JSUnresolvedVariable
+  if (!_.has(lambdaFunctions, environment.serverEnvironment)) {
+    // noinspection JSUnresolvedVariable
+    throw new Error(
+      `the lambda function for the following environment is not set: ${environment.serverEnvironment}`
+    );
+  }
+
+  // noinspection JSUnresolvedVariable
+  const functionName = lambdaFunctions[environment.serverEnvironment];
+
+  const client = new LambdaClient();
+  const input = {
+    FunctionName: functionName,
+    InvocationType: "RequestResponse",
+    Payload: JSON.stringify({
+      parameterName: environment.ssmKey,
+      parameterValue: version.hash,
+    }),
+  };
+  const command = new InvokeCommand(input);
+  const response = await client.send(command);
+
+  if (response.StatusCode !== 200) {
+    throw new Error(
+      `unsuccessful lambda invocation; unable to release asset version; got status ${response.StatusCode}`
+    );
+  }
+  if (response.FunctionError) {
+    throw new Error(
+      `one or more parameter store values could not be updated: ${response.Payload}`
+    );
+  }
+
+  let historyError;
+  if (bucketPath && version.bucket) {
+    try {
+      await appendReleaseRecord(version.bucket, bucketPath, environment.key, {
+        type,
+        environment: environment.key,
+        previousHash: environment.releasedHash,
+        hash: version.hash,
+        gitSha: version.gitSha,
+        gitBranch: version.gitBranch,
+        user: process.env.USER,
+        releasedAt: new Date().toISOString(),
+        ...(promotedFrom ? { promotedFrom } : {}),
+        ...(lockOverride ? { lockOverride } : {}),
+      });
+    } catch (err) {
+      historyError = err;
+    }
+  }
+
+  sendReleaseMessage(environment, version, packageName, githubRepoUrl, {
+    type,
+    promotedFrom,
+    log,
+  });
+
+  return { historyError: historyError ? historyError.message : undefined };
+};
+
+/**
+ * Find the version released to one environment so it can be released to another. When the bucket of the
+ * target environment doesn't have the version, it is found in the bucket of the source environment and
+ * has to be copied over before it is released.
+ *
+ * @param {object} from The environment to promote from, with its release data.
+ * @param {object} to The environment to promote to, with its release data.
+ * @param {object} bucketNames
+ * @param {string} bucketPath
+ * @param {string} packageName
+ * @returns {Promise<{version: object, needsCopy: boolean, sourceBucketName: string, targetBucketName: string}>}
+ */
+
+const findVersionToPromote = async (
+  from,
+  to,
+  bucketNames,
+  bucketPath,
+  packageName
+) => {
+  if (from.key === to.key) {
+    throw new Error(`Unable to promote ${from.key} to itself.`);
+  }
+  if (from.releasedHash === "Unreleased!") {
+    throw new Error(
+      `Nothing has been released to ${from.key} yet, so there is nothing to promote.`
+    );
+  }
+
+  const sourceBucketName = getEnvironmentBucketName(bucketNames, from);
+  const targetBucketName = getEnvironmentBucketName(bucketNames, to);
+  const client = new S3Client();
+  const needsCopy = !(await manifestExists(
+    client,
+    targetBucketName,
+    `${bucketPath}/${from.releasedHash}`
+  ));
+
+  const version = await findDeployedVersionByHash(
+    bucketNames,
+    needsCopy ? from : to,
+    bucketPath,
+    packageName,
+    from.releasedHash
+  );
+
+  return { version, needsCopy, sourceBucketName, targetBucketName };
+};
+
+/**
+ * Release the version of one environment to another, copying it to the bucket of the other environment
+ * first when it isn't there yet.
+ *
+ * @param {object} from The environment to promote from, with its release data.
+ * @param {object} to The environment to promote to, with its release data.
+ * @param {object} promotion What findVersionToPromote found.
+ * @param {object} lambdaFunctions
+ * @param {string} packageName
+ * @param {string} githubRepoUrl
+ * @param {object} options
+ * @param {string} options.bucketPath
+ * @param {string|null} options.acl The acl config value, for the copies.
+ * @param {string} options.lockOverride Why the lock of the environment was overridden, if it was.
+ * @param {function} options.log
+ * @returns {Promise<{copied: string[], historyError?: string}>} The keys that were copied, and why the
+ * promotion isn't in the release history if it isn't.
+ */
+
+const promote = async (
+  from,
+  to,
+  { version, needsCopy, sourceBucketName, targetBucketName },
+  lambdaFunctions,
+  packageName,
+  githubRepoUrl,
+  { bucketPath, acl, lockOverride, log = console.log } = {}
+) => {
+  let copied = [];
+  if (needsCopy) {
+    log(
+      `Copying hash[${version.hashDigest}] from the S3 bucket ${sourceBucketName} to ${targetBucketName}...`
+    );
+    copied = await copyVersion(
+      new S3Client(),
+      sourceBucketName,
+      targetBucketName,
+      bucketPath,
+      version.hash,
+      { acl }
+    );
+    log(`Copied ${copied.length} file(s).`);
+    version.bucket = targetBucketName;
+  }
+
+  const { historyError } = await release(
+    to,
+    version,
+    lambdaFunctions,
+    packageName,
+    githubRepoUrl,
+    {
+      bucketPath,
+      type: "promote",
+      promotedFrom: from.key,
+      lockOverride,
+      log,
+    }
+  );
+
+  return { copied, historyError };
+};
+
+const confirmRelease = (cmdObj, environment, version, packageName) => {
+  const message = `Do you want to release ${packageName} git[${version.gitShaDigest}] hash[${version.hashDigest}] to ${environment.key}?`;
+  const nonInteractive = isNonInteractive(cmdObj);
+
+  const branchRule = checkReleaseBranch(environment, version.gitBranch);
+  const branchDescription = branchRule ? branchRule.description : "";
+  if (branchRule && branchRule.enforcement === "block") {
+    return Promise.reject(
+      new Error(`Refusing to release the ${branchDescription}.`)
+    );
+  }
+  if (branchRule && branchRule.enforcement === "warn") {
+    // Keep stdout for the JSON summary when running non-interactively.
+    (nonInteractive ? console.error : console.log)(
+      `Warning: You are releasing the ${branchDescription}.`
+    );
+  }
+  const needsBranchConfirmation =
+    branchRule && branchRule.enforcement === "confirm";
+  const branchMessage = `Warning: You are attempting to release the ${branchDescription}. Do you wish to proceed?`;
+
+  if (nonInteractive) {
+    confirmNonInteractively(cmdObj, message);
+    if (needsBranchConfirmation) {
+      console.error(branchMessage);
+      confirmNonInteractively(cmdObj, branchMessage);
+    }
+    return Promise.resolve({ confirmation: true });
+  }
+
   return inquirer
     .prompt([
       {
         type: "confirm",
         name: "confirmation",
-        message: `Do you want to release ${packageName} git[${version.gitShaDigest}] hash[${version.hashDigest}] to ${environment.key}?`,
+        message,
         default: false,
       },
     ])
     .then((answers) => {
-      // noinspection JSUnresolvedVariable
-      if (
-        answers.confirmation &&
-        environment.masterOnly &&
-        version.gitBranch !== "main"
-      ) {
-        // noinspection JSUnresolvedVariable
+      if (answers.confirmation && needsBranchConfirmation) {
         return inquirer.prompt([
           {
             type: "confirm",
             name: "confirmation",
-            message: `Warning: You are attempting to release a non-main branch[${version.gitBranch}] to a main-only environment[${environment.serverEnvironment}]. Do you wish to proceed?`,
+            message: branchMessage,
           },
         ]);
       }
@@ -531,113 +1175,1888 @@ const confirmRelease = (environment, version, packageName) => {
     });
 };
 
-const configureCmd = (gurglerPath, bucketPath, commit, branch) => {
-  const hash = createHash("sha256");
-  const raw = `${commit}|${branch}`;
+/**
+ * Write gurgler.json for a build of a particular commit on a particular branch.
+ *
+ * @param {string} gurglerPath
+ * @param {string} bucketPath
+ * @param {string} commit
+ * @param {string} branch
+ * @returns {Promise<object>} The contents of gurgler.json.
+ */
+const writeGurglerFile = async (gurglerPath, bucketPath, commit, branch) => {
+  const hash = createHash("sha256");
+  const raw = `${commit}|${branch}`;
+
+  hash.update(raw);
+  const hashed = hash.digest("hex");
+  const prefix = bucketPath + "/" + hashed;
+
+  const gurglerData = {
+    commit,
+    branch,
+    raw,
+    hash: hashed,
+    prefix,
+  };
+
+  await writeFile(gurglerPath, JSON.stringify(gurglerData, null, 2));
+
+  return gurglerData;
+};
+
+const configureCmd = (gurglerPath, bucketPath, commit, branch) => {
+  writeGurglerFile(gurglerPath, bucketPath, commit, branch)
+    .then(() => {
+      console.log(
+        `gurgler successfully configured; the current build info can be found at ${gurglerPath}\n`
+      );
+    })
+    .catch((err) => {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+};
+
+/**
+ * Check whether a bucket already has the gurgler.json manifest of a version. Only a 404 counts as
+ * missing, anything else (a 403 included) is thrown: deleting the source maps of a version that is
+ * still in another bucket is worse than stopping.
+ *
+ * @param {S3Client} client
+ * @param {string} bucketName
+ * @param {string} prefix
+ * @returns {Promise<boolean>}
+ */
+const manifestExists = async (client, bucketName, prefix) => {
+  const input = {
+    Bucket: bucketName,
+    Key: `${prefix}.gurgler.json`,
+  };
+  const command = new HeadObjectCommand(input);
+
+  try {
+    await client.send(command);
+    return true;
+  } catch (err) {
+    if (err.name === "NotFound") {
+      return false;
+    }
+    throw err;
+  }
+};
+
+// The settings of an entry in localFileGlobs that are passed along to PutObject.
+const uploadOptionKeys = [
+  "acl",
+  "cacheControl",
+  "contentEncoding",
+  "contentDisposition",
+  "metadata",
+  "contentTypes",
+];
+
+/**
+ * Find every file matched by the globs and work out its path relative to the prefix. For a glob with a
+ * base, that's the path of the file relative to the base (build/img/logo.svg with a base of build is
+ * img/logo.svg); for a glob without one, it's just the filename. Throws if two different files end up
+ * with the same path, rather than letting one silently overwrite the other.
+ *
+ * Each file also gets the upload options of its glob, on top of the defaults. When a file is matched by
+ * more than one glob, the first one wins.
+ *
+ * @param {string} gurglerPath Never included, gurgler.json is sent separately.
+ * @param {array} globs
+ * @param {object} defaultUploadOptions
+ * @returns {[{localFilePath: string, name: string, uploadOptions: object}]}
+ */
+const collectLocalFiles = (gurglerPath, globs, defaultUploadOptions = {}) => {
+  const files = [];
+
+  globs.forEach((aGlob) => {
+    const localFilePaths = glob
+      .sync(aGlob.pattern, {
+        ignore: aGlob.ignore,
+      })
+      .filter(
+        // Skip anything that's not a file (like a directory), and gurgler.json.
+        (localFilePath) =>
+          statSync(localFilePath).isFile() &&
+          resolve(localFilePath) !== resolve(gurglerPath)
+      );
+
+    for (const localFilePath of localFilePaths) {
+      let name = parse(localFilePath).base;
+      if (_.has(aGlob, "base")) {
+        name = relative(aGlob.base, localFilePath).split(sep).join("/");
+        if (name.startsWith("..") || isAbsolute(name)) {
+          throw new Error(
+            `${localFilePath} is matched by the pattern ${aGlob.pattern} but it is not inside its base ${aGlob.base}.`
+          );
+        }
+      }
+      files.push({
+        localFilePath,
+        name,
+        uploadOptions: {
+          ...defaultUploadOptions,
+          ..._.pick(aGlob, uploadOptionKeys),
+          contentTypes: {
+            ...defaultUploadOptions.contentTypes,
+            ...aGlob.contentTypes,
+          },
+        },
+      });
+    }
+  });
+
+  // The same file matched by more than one glob is only sent once.
+  const uniqueFiles = _.uniqBy(files, (file) =>
+    [resolve(file.localFilePath), file.name].join("|")
+  );
+
+  const collisions = _.pickBy(
+    _.groupBy(uniqueFiles, "name"),
+    (filesWithName) => filesWithName.length > 1
+  );
+  if (!_.isEmpty(collisions)) {
+    const list = _.map(
+      collisions,
+      (filesWithName, name) =>
+        `  ${name}: ${filesWithName.map((file) => file.localFilePath).join(", ")}`
+    ).join("\n");
+    throw new Error(
+      `Refusing to deploy, more than one file would be deployed under the same name:\n${list}\nSet a base on the localFileGlobs to keep their directories apart.`
+    );
+  }
+
+  return uniqueFiles;
+};
+
+/**
+ * Work out which versions of a file to send. Only text files are compressed, and only when their glob
+ * does not already set a Content-Encoding. In "replace" mode the compressed file is sent instead of the
+ * original (so there is only one encoding); in "sibling" mode the original is sent as is, along with a
+ * compressed copy per encoding under the same key plus .gz or .br.
+ *
+ * @param {object} localFile
+ * @param {object} compression
+ * @returns {array} The compress option for each upload, undefined for the original.
+ */
+const compressionVariants = (localFile, compression) => {
+  if (
+    _.isEmpty(compression) ||
+    !_.isEmpty(localFile.uploadOptions.contentEncoding) ||
+    !isCompressible(
+      getContentType(
+        parse(localFile.localFilePath).ext,
+        localFile.uploadOptions.contentTypes
+      )
+    )
+  ) {
+    return [undefined];
+  }
+
+  if (compression.mode === "replace") {
+    return [{ encoding: compression.encodings[0], sibling: false }];
+  }
+
+  return [
+    undefined,
+    ...compression.encodings.map((encoding) => ({ encoding, sibling: true })),
+  ];
+};
+
+/**
+ * Send every file matched by the globs to each of the buckets, a few uploads at a time, then send
+ * gurgler.json along with an inventory of those files (see manifest.mjs). Since gurgler.json is what
+ * makes a version show up as releasable, it is only sent once every asset has made it to every bucket.
+ * If anything fails, the assets that did make it are left for the next deploy to skip as unchanged.
+ * Every upload is attempted even when some of them fail; the failures are returned rather than thrown.
+ *
+ * @param bucketRegion
+ * @param bucketNames
+ * @param gurglerPath
+ * @param globs
+ * @param options
+ * @param options.pretend {boolean}
+ * @param options.concurrency {number} How many uploads to have in flight at once.
+ * @param options.hashFilenames {boolean} Put the checksum of each file into its key.
+ * @param options.acl {string} The ACL for every upload, including gurgler.json, unless its glob says
+ *   otherwise. Defaults to "public-read", "none" sends no ACL.
+ * @param options.contentTypes {object} Extensions mapped to content types, for every glob.
+ * @param options.compression {object} Compress text files: {encodings: ["gzip", "br"], mode: "sibling"
+ *   or "replace"}. See compressionVariants.
+ * @param options.sourceMaps {object} Send source maps privately. See separateSourceMaps.
+ * @param options.force {boolean} Send every file, even the ones that are already in the bucket as is.
+ * @param options.log {function} Where to say what happened to each file.
+ * @returns {Promise<{prefix: string, localFilePaths: string[], uploaded: object[], failed: object[], manifestUploaded: boolean}>}
+ */
+const deploy = async (
+  bucketRegion,
+  bucketNames,
+  gurglerPath,
+  globs,
+  {
+    pretend = false,
+    concurrency = 8,
+    hashFilenames = false,
+    acl = "public-read",
+    contentTypes = {},
+    compression = undefined,
+    sourceMaps = undefined,
+    force = false,
+    log = console.log,
+  } = {}
+) => {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(
+      `The upload concurrency must be a positive whole number, got: ${concurrency}`
+    );
+  }
+
+  const data = await readFile(gurglerPath);
+  const localFiles = collectLocalFiles(gurglerPath, globs, {
+    acl,
+    contentTypes,
+  });
+  const localFilePaths = localFiles.map((file) => file.localFilePath);
+
+  const gurglerData = JSON.parse(data);
+  const { prefix, raw } = gurglerData;
+
+  let assets = localFiles;
+  let maps = [];
+  if (sourceMaps) {
+    ({ assets, maps } = await separateSourceMaps(
+      localFiles,
+      sourceMaps,
+      prefix,
+      hashFilenames
+    ));
+  } else {
+    const publicMaps = localFiles.filter(
+      (localFile) => parse(localFile.localFilePath).ext === ".map"
+    );
+    if (publicMaps.length > 0) {
+      console.warn(
+        `Warning: ${publicMaps.length} source map(s) will be deployed like any other asset; set the sourceMaps config value to send them privately.`
+      );
+    }
+  }
+  const mapPaths = new Set(maps.map((map) => map.localFilePath));
+
+  // All the buckets live in the same region, so they can share a client.
+  const client = new S3Client({ region: bucketRegion });
+  const uniqueBucketNames = _.uniq(Object.values(bucketNames));
+
+  const uploaded = [];
+  const failed = [];
+  const uploadAll = async (uploads) => {
+    const results = await utils.mapWithConcurrency(
+      uploads,
+      concurrency,
+      ({
+        bucketName,
+        localFilePath,
+        keyPrefix = prefix,
+        hashFilename = hashFilenames,
+        uploadOptions = { acl },
+        ...options
+      }) =>
+        readFileAndDeploy(client, bucketName, keyPrefix, localFilePath, raw, {
+          pretend,
+          skipUnchanged: !force,
+          hashFilename,
+          log,
+          uploadOptions,
+          ..._.pick(options, ["name", "data", "compress", "filenameHash"]),
+        })
+    );
+    results.forEach((result, i) => {
+      if (result.status === "fulfilled") {
+        // A compressed sibling that isn't smaller is not sent.
+        if (result.value) {
+          uploaded.push(result.value);
+        }
+      } else {
+        failed.push({ ...uploads[i], error: result.reason });
+      }
+    });
+  };
+
+  await uploadAll([
+    ...uniqueBucketNames.flatMap((bucketName) =>
+      assets.flatMap((localFile) =>
+        compressionVariants(localFile, compression).map((compress) => ({
+          bucketName,
+          ...localFile,
+          compress,
+        }))
+      )
+    ),
+    // The maps go to their own bucket if they have one, or along with the assets.
+    ...maps.flatMap((map) =>
+      (map.bucketName ? [map.bucketName] : uniqueBucketNames).map(
+        (bucketName) => ({ ...map, bucketName, hashFilename: false })
+      )
+    ),
+  ]);
+
+  let manifestUploaded = false;
+  if (failed.length === 0) {
+    const manifest = makeManifest(
+      gurglerData,
+      uploaded.filter((upload) => !mapPaths.has(upload.localFilePath)),
+      {
+        hashFilenames,
+        sourceMaps: uploaded.filter((upload) =>
+          mapPaths.has(upload.localFilePath)
+        ),
+      }
+    );
+    const manifestData = JSON.stringify(manifest, null, 2);
+    await uploadAll(
+      uniqueBucketNames.map((bucketName) => ({
+        bucketName,
+        localFilePath: gurglerPath,
+        data: manifestData,
+        hashFilename: false,
+      }))
+    );
+    manifestUploaded = failed.length === 0;
+  }
+
+  return {
+    prefix,
+    localFilePaths: [...localFilePaths, ...mapPaths, gurglerPath],
+    uploaded,
+    failed,
+    manifestUploaded,
+    sourceMaps: uploaded.filter((upload) => mapPaths.has(upload.localFilePath)),
+  };
+};
+
+/**
+ *
+ * @param bucketRegion
+ * @param bucketNames
+ * @param gurglerPath
+ * @param globs
+ * @param options
+ * @param options.pretend {boolean}
+ * @param options.concurrency {number}
+ * @param options.hashFilenames {boolean}
+ */
+const deployCmd = async (
+  bucketRegion,
+  bucketNames,
+  gurglerPath,
+  globs,
+  options = {}
+) => {
+  const { pretend = false } = options;
+  let result;
+  try {
+    result = await deploy(
+      bucketRegion,
+      bucketNames,
+      gurglerPath,
+      globs,
+      options
+    );
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { prefix, uploaded, failed, manifestUploaded, sourceMaps } = result;
+  for (const { localFilePath, bucketName, error } of failed) {
+    console.error(
+      `Failed to deploy ${localFilePath} to S3 bucket ${bucketName}: ${error.message}`
+    );
+  }
+
+  for (const { localFilePath, bucketName, remoteFilePath } of sourceMaps) {
+    console.log(
+      `Source map ${localFilePath} is in S3 bucket ${bucketName} ${remoteFilePath}`
+    );
+  }
+
+  const compressed = _.uniqBy(
+    uploaded.filter((upload) => upload.encoding),
+    "remoteFilePath"
+  );
+  if (compressed.length > 0) {
+    for (const [encoding, uploads] of Object.entries(
+      _.groupBy(compressed, "encoding")
+    )) {
+      console.log(
+        `Compressed ${uploads.length} file(s) with ${encoding}: ${_.sumBy(uploads, "originalSize")} -> ${_.sumBy(uploads, "size")} bytes`
+      );
+    }
+  }
+
+  for (const bucketName of _.uniq(Object.values(bucketNames))) {
+    const uploadedCount = uploaded.filter(
+      (upload) => upload.bucketName === bucketName && !upload.skipped
+    ).length;
+    const skippedCount = uploaded.filter(
+      (upload) => upload.bucketName === bucketName && upload.skipped
+    ).length;
+    const failedCount = failed.filter(
+      (upload) => upload.bucketName === bucketName
+    ).length;
+    console.log(
+      `${pretend ? "Would have deployed" : "Deployed"} ${uploadedCount} of ${uploadedCount + skippedCount + failedCount} file(s) to S3 bucket ${bucketName} under ${prefix}, ${skippedCount} skipped as unchanged`
+    );
+  }
+
+  if (!manifestUploaded) {
+    console.error(
+      `The gurgler.json manifest was not sent to every bucket, so this version is not releasable. The files that made it are left in place, deploy again to send the rest.`
+    );
+  }
+
+  if (failed.length > 0) {
+    console.error(
+      `\n> The deploy failed: ${failed.length} of ${uploaded.length + failed.length} upload(s) did not make it.\n`
+    );
+    process.exitCode = 1;
+  } else {
+    const skippedCount = uploaded.filter((upload) => upload.skipped).length;
+    console.log(
+      `\n> The deploy succeeded: ${uploaded.length - skippedCount} upload(s) and ${skippedCount} unchanged file(s) skipped in ${_.uniq(Object.values(bucketNames)).length} bucket(s).\n`
+    );
+  }
+};
+
+/**
+ * Check that every file in the manifest of a deployed version is in each bucket, intact.
+ *
+ * @param {string} hash The gurgler hash of the version, at least 7 characters.
+ * @param bucketRegion
+ * @param bucketNames
+ * @param bucketPath
+ * @returns {Promise<[{bucketName: string, verified: string[], problems: object[]}]>}
+ */
+const verify = async (hash, bucketRegion, bucketNames, bucketPath) => {
+  if (_.isEmpty(hash) || hash.length < 7) {
+    throw new Error(
+      `The hash "${hash}" is not long enough, it should be at least 7 characters.`
+    );
+  }
+
+  const client = new S3Client({ region: bucketRegion });
+  const results = [];
+  for (const bucketName of _.uniq(Object.values(bucketNames))) {
+    const versions = formatAndLimitDeployedVersions(
+      await getDeployedVersionList(bucketName, bucketPath),
+      Infinity
+    ).filter((version) => _.startsWith(version.hash, hash));
+
+    if (versions.length > 1) {
+      throw new Error(
+        `The hash "${hash}" matches more than one version in the S3 bucket ${bucketName}, use more characters.`
+      );
+    }
+    if (versions.length === 0) {
+      results.push({
+        bucketName,
+        verified: [],
+        problems: [{ key: `${bucketPath}/${hash}`, problem: "not deployed" }],
+      });
+      continue;
+    }
+
+    const manifest = await readManifest(
+      client,
+      bucketName,
+      versions[0].filepath
+    );
+    results.push({
+      bucketName,
+      hash: versions[0].hash,
+      ...(await verifyDeployedFiles(client, bucketName, manifest)),
+    });
+  }
+
+  return results;
+};
+
+const verifyCmd = async (hash, bucketRegion, bucketNames, bucketPath) => {
+  try {
+    const results = await verify(hash, bucketRegion, bucketNames, bucketPath);
+
+    for (const { bucketName, verified, problems } of results) {
+      for (const { key, problem } of problems) {
+        console.error(`${bucketName} ${key}: ${problem}`);
+      }
+      console.log(
+        `Verified ${verified.length} of ${verified.length + problems.length} file(s) of hash[${makeHashDigest(hash)}] in S3 bucket ${bucketName}`
+      );
+    }
+
+    if (results.some((result) => result.problems.length > 0)) {
+      console.error(`\n> hash[${makeHashDigest(hash)}] is not intact.\n`);
+      process.exitCode = 1;
+    } else {
+      console.log(`\n> hash[${makeHashDigest(hash)}] is intact.\n`);
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * Make sure every bucket has every deployed version. The manifests in each bucket are compared, and each
+ * version that is missing from a bucket is copied over server-side from the first bucket that has it.
+ *
+ * @param {string} bucketRegion
+ * @param {object} bucketNames
+ * @param {string} bucketPath
+ * @param {object} options
+ * @param {string} options.hash Only sync this version (at least the first 7 characters of its hash).
+ * @param {boolean} options.pretend Only work out what is missing where, don't copy anything.
+ * @param {string|null} options.acl The acl config value, for the copies.
+ * @param {function} options.log
+ * @returns {Promise<[{hash: string, lastModified: Date, source: string, buckets: object, error?: string}]>}
+ *   For each version, which buckets had it ("present"), got it ("copied"), or still miss it ("missing",
+ *   or "failed" when the copy failed).
+ */
+const sync = async (
+  bucketRegion,
+  bucketNames,
+  bucketPath,
+  { hash, pretend = false, acl, log = console.log } = {}
+) => {
+  if (!_.isUndefined(hash) && hash.length < 7) {
+    throw new Error(
+      `The hash "${hash}" is not long enough, it should be at least 7 characters.`
+    );
+  }
+
+  const client = new S3Client({ region: bucketRegion });
+  const uniqueBucketNames = _.uniq(Object.values(bucketNames));
+  const versionsByBucket = {};
+  for (const bucketName of uniqueBucketNames) {
+    versionsByBucket[bucketName] = await getDeployedVersionList(
+      bucketName,
+      bucketPath
+    );
+  }
+
+  const hashes = _.uniq(
+    _.flatten(
+      uniqueBucketNames.map((bucketName) =>
+        formatAndLimitDeployedVersions(
+          versionsByBucket[bucketName],
+          Infinity
+        ).map((version) => version.hash)
+      )
+    )
+  ).filter(
+    (versionHash) => _.isUndefined(hash) || _.startsWith(versionHash, hash)
+  );
+  if (!_.isUndefined(hash) && hashes.length === 0) {
+    throw new Error(`The hash "${hash}" is not deployed in any S3 bucket.`);
+  }
+  if (!_.isUndefined(hash) && hashes.length > 1) {
+    throw new Error(
+      `The hash "${hash}" matches ${hashes.length} deployed versions, use more characters.`
+    );
+  }
+
+  const results = [];
+  for (const versionHash of hashes) {
+    const buckets = {};
+    let source;
+    let lastModified;
+    for (const bucketName of uniqueBucketNames) {
+      const version = _.find(
+        versionsByBucket[bucketName],
+        (version) =>
+          version.filepath === `${bucketPath}/${versionHash}.gurgler.json`
+      );
+      buckets[bucketName] = version ? "present" : "missing";
+      if (version && !source) {
+        source = bucketName;
+      }
+      // A copy is newer than the original, so the earliest is when the version was deployed.
+      if (version && !(lastModified <= version.lastModified)) {
+        lastModified = version.lastModified;
+      }
+    }
+    const result = { hash: versionHash, lastModified, source, buckets };
+    results.push(result);
+
+    if (pretend) {
+      continue;
+    }
+    for (const bucketName of uniqueBucketNames) {
+      if (buckets[bucketName] !== "missing") {
+        continue;
+      }
+      log(
+        `Copying hash[${makeHashDigest(versionHash)}] from the S3 bucket ${source} to ${bucketName}...`
+      );
+      try {
+        await copyVersion(client, source, bucketName, bucketPath, versionHash, {
+          acl,
+        });
+        buckets[bucketName] = "copied";
+      } catch (err) {
+        buckets[bucketName] = "failed";
+        result.error = err.message;
+      }
+    }
+  }
+
+  return _.reverse(_.sortBy(results, ["lastModified"]));
+};
+
+const syncCmd = async (cmdObj, bucketRegion, bucketNames, bucketPath, acl) => {
+  try {
+    const uniqueBucketNames = _.uniq(Object.values(bucketNames));
+    const results = await sync(bucketRegion, bucketNames, bucketPath, {
+      hash: cmdObj.hash,
+      pretend: Boolean(cmdObj.pretend),
+      acl,
+    });
+
+    console.log(
+      [
+        _.padEnd("Hash", 9),
+        _.padEnd("Deployed", 26),
+        ...uniqueBucketNames.map((bucketName) => _.padEnd(bucketName, 10)),
+      ].join(" | ")
+    );
+    for (const result of results) {
+      console.log(
+        [
+          _.padEnd(makeHashDigest(result.hash), 9),
+          _.padEnd(result.lastModified.toISOString(), 26),
+          ...uniqueBucketNames.map((bucketName) =>
+            _.padEnd(result.buckets[bucketName], 10)
+          ),
+        ].join(" | ")
+      );
+    }
+
+    for (const result of results.filter((result) => result.error)) {
+      console.error(`hash[${makeHashDigest(result.hash)}]: ${result.error}`);
+    }
+
+    const count = (status) =>
+      results.filter((result) => _.includes(result.buckets, status)).length;
+    if (cmdObj.pretend) {
+      console.log(
+        `\n> ${count("missing")} of ${results.length} version(s) are missing from at least one S3 bucket.\n`
+      );
+    } else if (count("failed") > 0) {
+      console.error(
+        `\n> Copied ${count("copied")} version(s), ${count("failed")} version(s) could not be copied.\n`
+      );
+      process.exitCode = 1;
+    } else {
+      console.log(
+        `\n> Copied ${count("copied")} version(s), every S3 bucket has all ${results.length} version(s).\n`
+      );
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * A machine-readable summary of a release, written to stdout when running non-interactively.
+ *
+ * @param {object} environment
+ * @param {object} version
+ * @param {string} packageName
+ * @returns {object}
+ */
+
+// The release is live either way, so a missing record is only worth a warning; rollback can't go
+// back past it though.
+const warnAboutHistory = (historyError) => {
+  if (historyError) {
+    console.error(
+      `Warning: the release went through, but it could not be recorded in the release history: ${historyError}`
+    );
+  }
+};
+
+const makeReleaseSummary = (environment, version, packageName) => {
+  // noinspection JSUnresolvedVariable
+  return {
+    status: "released",
+    packageName,
+    environment: environment.key,
+    serverEnvironment: environment.serverEnvironment,
+    ssmKey: environment.ssmKey,
+    previousHash: environment.releasedHash,
+    hash: version.hash,
+    gitSha: version.gitSha,
+    gitBranch: version.gitBranch,
+    releasedBy: process.env.USER,
+    releasedAt: new Date().toISOString(),
+  };
+};
+
+const releaseCmd = (
+  cmdObj,
+  bucketNames,
+  lambdaFunctions,
+  environments,
+  bucketPath,
+  packageName,
+  githubRepoUrl
+) => {
+  const nonInteractive = isNonInteractive(cmdObj);
+  // Keep stdout for the JSON summary when running non-interactively.
+  const log = nonInteractive ? console.error : console.log;
+  let environment;
+  let version;
+
+  Promise.resolve()
+    .then(() => {
+      checkVersionOptions(cmdObj);
+      return requestCurrentlyReleasedVersions(environments);
+    })
+    .then((environments) => {
+      return determineEnvironment(cmdObj, environments);
+    })
+    .then(async (answers) => {
+      environment = answers.environment;
+      await checkEnvironmentLock(
+        bucketNames,
+        environment,
+        bucketPath,
+        cmdObj.overrideLock,
+        log
+      );
+      return determineVersionToRelease(
+        cmdObj,
+        bucketNames,
+        environment,
+        bucketPath,
+        packageName
+      );
+    })
+    .then((answers) => {
+      version = answers.version;
+      return confirmRelease(cmdObj, environment, version, packageName);
+    })
+    .then(async (answers) => {
+      // noinspection JSUnresolvedVariable
+      if (answers.confirmation) {
+        const { historyError } = await release(
+          environment,
+          version,
+          lambdaFunctions,
+          packageName,
+          githubRepoUrl,
+          { bucketPath, lockOverride: cmdObj.overrideLock, log }
+        );
+        warnAboutHistory(historyError);
+        if (nonInteractive) {
+          console.log(
+            JSON.stringify(
+              {
+                ...makeReleaseSummary(environment, version, packageName),
+                historyError,
+              },
+              null,
+              2
+            )
+          );
+        }
+      } else {
+        console.log("Cancelling release...");
+      }
+    })
+    .catch((err) => {
+      console.error(err.message);
+      if (nonInteractive) {
+        console.log(
+          JSON.stringify({ status: "failed", error: err.message }, null, 2)
+        );
+      }
+      process.exitCode = 1;
+    });
+};
+
+const rollbackCmd = (
+  cmdObj,
+  bucketNames,
+  lambdaFunctions,
+  environments,
+  bucketPath,
+  packageName,
+  githubRepoUrl
+) => {
+  const nonInteractive = isNonInteractive(cmdObj);
+  // Keep stdout for the JSON summary when running non-interactively.
+  const log = nonInteractive ? console.error : console.log;
+  const steps = _.isUndefined(cmdObj.steps) ? 1 : Number(cmdObj.steps);
+  let environment;
+  let version;
+
+  requestCurrentlyReleasedVersions(environments)
+    .then((environments) => {
+      return determineEnvironment(cmdObj, environments);
+    })
+    .then(async (answers) => {
+      environment = answers.environment;
+      await checkEnvironmentLock(
+        bucketNames,
+        environment,
+        bucketPath,
+        cmdObj.overrideLock,
+        log
+      );
+      // noinspection JSUnresolvedVariable
+      const history = await readReleaseHistory(
+        _.get(bucketNames, environment.serverEnvironment),
+        bucketPath,
+        environment.key
+      );
+
+      const latestRecord = _.last(history);
+      if (latestRecord && latestRecord.hash !== environment.releasedHash) {
+        log(
+          `Warning: ${environment.key} is running hash[${environment.releaseHashShort}] but the last recorded release was hash[${makeHashDigest(latestRecord.hash)}]; it was probably released without gurgler.`
+        );
+      }
+
+      const { hash, record } = findRollbackTarget(history, steps);
+      log(
+        `Rolling back ${environment.key} to the version it had before the release of hash[${makeHashDigest(record.hash)}] by ${record.user} on ${record.releasedAt}.`
+      );
+
+      version = await findDeployedVersionByHash(
+        bucketNames,
+        environment,
+        bucketPath,
+        packageName,
+        hash
+      );
+
+      const message = `Do you want to roll back ${environment.key} from hash[${environment.releaseHashShort}] to ${packageName} git[${version.gitShaDigest}] hash[${version.hashDigest}]?`;
+      if (nonInteractive) {
+        return { confirmation: confirmNonInteractively(cmdObj, message) };
+      }
+      log(version.displayName);
+      return inquirer.prompt([
+        {
+          type: "confirm",
+          name: "confirmation",
+          message,
+          default: false,
+        },
+      ]);
+    })
+    .then(async (answers) => {
+      // noinspection JSUnresolvedVariable
+      if (answers.confirmation) {
+        const { historyError } = await release(
+          environment,
+          version,
+          lambdaFunctions,
+          packageName,
+          githubRepoUrl,
+          {
+            bucketPath,
+            type: "rollback",
+            lockOverride: cmdObj.overrideLock,
+            log,
+          }
+        );
+        warnAboutHistory(historyError);
+        if (nonInteractive) {
+          console.log(
+            JSON.stringify(
+              {
+                ...makeReleaseSummary(environment, version, packageName),
+                status: "rolled back",
+                historyError,
+              },
+              null,
+              2
+            )
+          );
+        }
+      } else {
+        console.log("Cancelling rollback...");
+      }
+    })
+    .catch((err) => {
+      console.error(err.message);
+      if (nonInteractive) {
+        console.log(
+          JSON.stringify({ status: "failed", error: err.message }, null, 2)
+        );
+      }
+      process.exitCode = 1;
+    });
+};
+
+const promoteCmd = (
+  cmdObj,
+  bucketNames,
+  lambdaFunctions,
+  environments,
+  bucketPath,
+  packageName,
+  githubRepoUrl,
+  acl
+) => {
+  const nonInteractive = isNonInteractive(cmdObj);
+  // Keep stdout for the JSON summary when running non-interactively.
+  const log = nonInteractive ? console.error : console.log;
+  let from;
+  let to;
+  let promotion;
+
+  requestCurrentlyReleasedVersions(environments)
+    .then(async (environments) => {
+      from = findEnvironment(environments, cmdObj.from);
+      to = findEnvironment(environments, cmdObj.to);
+      await checkEnvironmentLock(
+        bucketNames,
+        to,
+        bucketPath,
+        cmdObj.overrideLock,
+        log
+      );
+      promotion = await findVersionToPromote(
+        from,
+        to,
+        bucketNames,
+        bucketPath,
+        packageName
+      );
+
+      if (to.releasedHash === promotion.version.hash) {
+        log(
+          `\n> ${to.key} already has the version of ${from.key}, hash[${promotion.version.hashDigest}]. Nothing to promote.\n`
+        );
+        return { confirmation: false, alreadyReleased: true };
+      }
+      if (promotion.needsCopy) {
+        log(
+          `hash[${promotion.version.hashDigest}] is not in the S3 bucket ${promotion.targetBucketName} yet, it will be copied from ${promotion.sourceBucketName}.`
+        );
+      }
+      return confirmRelease(cmdObj, to, promotion.version, packageName);
+    })
+    .then(async (answers) => {
+      if (answers.alreadyReleased) {
+        if (nonInteractive) {
+          console.log(
+            JSON.stringify(
+              { status: "unchanged", hash: promotion.version.hash },
+              null,
+              2
+            )
+          );
+        }
+        return;
+      }
+      // noinspection JSUnresolvedVariable
+      if (!answers.confirmation) {
+        console.log("Cancelling promotion...");
+        return;
+      }
+
+      const { copied, historyError } = await promote(
+        from,
+        to,
+        promotion,
+        lambdaFunctions,
+        packageName,
+        githubRepoUrl,
+        { bucketPath, acl, lockOverride: cmdObj.overrideLock, log }
+      );
+      warnAboutHistory(historyError);
+      if (nonInteractive) {
+        console.log(
+          JSON.stringify(
+            {
+              ...makeReleaseSummary(to, promotion.version, packageName),
+              status: "promoted",
+              promotedFrom: from.key,
+              copiedFiles: copied.length,
+              historyError,
+            },
+            null,
+            2
+          )
+        );
+      }
+    })
+    .catch((err) => {
+      console.error(err.message);
+      if (nonInteractive) {
+        console.log(
+          JSON.stringify({ status: "failed", error: err.message }, null, 2)
+        );
+      }
+      process.exitCode = 1;
+    });
+};
+
+/**
+ * What is released to each environment, matched to the version deployed in its bucket.
+ *
+ * @param {array} environments
+ * @param {object} bucketNames
+ * @param {string} bucketPath
+ * @param {string} packageName
+ * @returns {Promise<[{object}]>} For each environment its key, server environment, released hash and
+ *   release date, whether that hash is deployed in the bucket and, when it is, its git data.
+ */
+
+const getStatus = async (environments, bucketNames, bucketPath, packageName) => {
+  const releasedEnvironments = await requestCurrentlyReleasedVersions(
+    environments
+  );
+
+  // Several environments tend to share a bucket.
+  const versionLists = {};
+  const getVersions = async (bucketName) => {
+    if (!versionLists[bucketName]) {
+      const versions = await getDeployedVersionList(bucketName, bucketPath);
+      versionLists[bucketName] = formatAndLimitDeployedVersions(
+        versions,
+        versions.length
+      );
+    }
+    return versionLists[bucketName];
+  };
+
+  const statuses = [];
+  for (const environment of releasedEnvironments) {
+    const bucketName = getEnvironmentBucketName(bucketNames, environment);
+    // noinspection JSUnresolvedVariable
+    const status = {
+      environment: environment.key,
+      serverEnvironment: environment.serverEnvironment,
+      bucket: bucketName,
+      releasedHash: environment.releasedHash,
+      releaseDate: environment.releaseDate,
+      released: environment.releasedHash !== "Unreleased!",
+      deployed: false,
+    };
+    statuses.push(status);
+    if (!status.released) {
+      continue;
+    }
+
+    const version = _.find(
+      await getVersions(bucketName),
+      (version) => version.hash === environment.releasedHash
+    );
+    if (!version) {
+      continue;
+    }
+    await addGitSha(version);
+    await addGitInfo(version, packageName);
+    Object.assign(status, {
+      deployed: true,
+      deployedAt: version.lastModified,
+      gitSha: version.gitSha,
+      gitBranch: version.gitBranch,
+      gitAuthor: version.gitAuthor,
+      gitDate: version.gitDate,
+      gitMessage: version.gitMessage,
+    });
+  }
+
+  return statuses;
+};
+
+const statusCmd = async (
+  cmdObj,
+  environments,
+  bucketNames,
+  bucketPath,
+  packageName
+) => {
+  try {
+    const statuses = await getStatus(
+      environments,
+      bucketNames,
+      bucketPath,
+      packageName
+    );
+
+    if (cmdObj.json) {
+      console.log(JSON.stringify(statuses, null, 2));
+    } else {
+      for (const status of statuses) {
+        const columns = [
+          _.padEnd(status.environment, 12),
+          status.released
+            ? `hash[${makeHashDigest(status.releasedHash)}]`
+            : _.padEnd("Unreleased!", 13),
+          _.padEnd(status.released ? status.releaseDate.toISOString() : "", 24),
+        ];
+        if (status.deployed) {
+          columns.push(
+            _.padEnd(status.gitAuthor, 16),
+            `git[${makeHashDigest(status.gitSha)}] [${_.truncate(
+              status.gitBranch || "",
+              { length: 15 }
+            )}] ${_.truncate(status.gitMessage, { length: 50 })}`
+          );
+        } else if (status.released) {
+          columns.push(`NOT DEPLOYED in the S3 bucket ${status.bucket}`);
+        }
+        console.log(columns.join(" | "));
+      }
+    }
+
+    for (const status of statuses) {
+      if (status.released && !status.deployed) {
+        console.error(
+          `\n> Warning: ${status.environment} is serving hash[${makeHashDigest(status.releasedHash)}], which is not deployed in the S3 bucket ${status.bucket}.`
+        );
+      }
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * Every version deployed in the bucket of a server environment, newest first, with its git data and the
+ * environments it is released to.
+ *
+ * @param {array} environments
+ * @param {object} bucketNames
+ * @param {string} serverEnvironment A key of bucketNames.
+ * @param {string} bucketPath
+ * @param {string} packageName
+ * @param {object} filters
+ * @param {string} filters.branch Only the versions built from this git branch.
+ * @param {Date} filters.since Only the versions deployed on or after this date.
+ * @param {string} filters.author Only the versions whose commit author contains this, in any case.
+ * @returns {Promise<[{object}]>} The versions, each with a releasedTo list of environment keys.
+ */
+
+const listVersions = async (
+  environments,
+  bucketNames,
+  serverEnvironment,
+  bucketPath,
+  packageName,
+  { branch, since, author } = {}
+) => {
+  let versions = await getAllDeployedVersions(
+    bucketNames,
+    { serverEnvironment },
+    bucketPath
+  );
+  if (!_.isEmpty(branch)) {
+    versions = versions.filter((version) => version.gitBranch === branch);
+  }
+  if (since) {
+    versions = versions.filter((version) => version.lastModified >= since);
+  }
+
+  const results = await utils.mapWithConcurrency(versions, 8, (version) =>
+    addGitInfo(version, packageName)
+  );
+  const rejected = _.find(results, (result) => result.status === "rejected");
+  if (rejected) {
+    throw rejected.reason;
+  }
+  if (!_.isEmpty(author)) {
+    versions = versions.filter((version) =>
+      _.includes(_.toLower(version.gitAuthor), _.toLower(author))
+    );
+  }
+
+  const releasedEnvironments = _.isEmpty(environments)
+    ? []
+    : await requestCurrentlyReleasedVersions(environments);
+  for (const version of versions) {
+    version.releasedTo = releasedEnvironments
+      .filter((environment) => environment.releasedHash === version.hash)
+      .map((environment) => environment.key);
+  }
+
+  return versions;
+};
+
+// The columns of list --csv, always all of them and in this order, even when nothing matches.
+const listColumns = [
+  "hash",
+  "deployedAt",
+  "gitSha",
+  "gitBranch",
+  "gitAuthor",
+  "gitDate",
+  "gitMessage",
+  "releasedTo",
+];
+
+// Quote a CSV field when it needs it.
+const toCsvField = (value) => {
+  const str = _.isNil(value) ? "" : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const listCmd = async (
+  cmdObj,
+  environments,
+  bucketNames,
+  bucketPath,
+  packageName
+) => {
+  try {
+    let since;
+    if (!_.isEmpty(cmdObj.since)) {
+      since = new Date(cmdObj.since);
+      if (isNaN(since.getTime())) {
+        throw new Error(`"${cmdObj.since}" is not a date, e.g. 2026-01-01.`);
+      }
+    }
+
+    const versions = await listVersions(
+      environments,
+      bucketNames,
+      cmdObj.envBucket,
+      bucketPath,
+      packageName,
+      { branch: cmdObj.branch, since, author: cmdObj.author }
+    );
+    const rows = versions.map((version) => ({
+      hash: version.hash,
+      deployedAt: version.lastModified.toISOString(),
+      gitSha: version.gitSha,
+      gitBranch: version.gitBranch,
+      gitAuthor: version.gitAuthor,
+      gitDate: version.gitDate,
+      gitMessage: version.gitMessage,
+      releasedTo: version.releasedTo,
+    }));
+
+    if (cmdObj.json) {
+      console.log(JSON.stringify(rows, null, 2));
+      return;
+    }
+    if (cmdObj.csv) {
+      console.log(listColumns.join(","));
+      for (const row of rows) {
+        console.log(
+          listColumns
+            .map((column) =>
+              toCsvField(
+                _.isArray(row[column]) ? row[column].join(" ") : row[column]
+              )
+            )
+            .join(",")
+        );
+      }
+      return;
+    }
+
+    if (versions.length === 0) {
+      console.log("No deployed versions match.");
+      return;
+    }
+    for (const version of versions) {
+      const released = _.isEmpty(version.releasedTo)
+        ? ""
+        : ` <- released to ${version.releasedTo.join(", ")}`;
+      console.log(
+        `${_.padEnd(version.lastModified.toISOString(), 24)} | ${
+          version.displayName
+        }${released}`
+      );
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * Show who released what to which environment, newest first.
+ *
+ * @param cmdObj
+ * @param bucketNames
+ * @param {array} environments
+ * @param bucketPath
+ * @returns {Promise<void>}
+ */
+const historyCmd = async (cmdObj, bucketNames, environments, bucketPath) => {
+  try {
+    const chosenEnvironments = _.isEmpty(cmdObj.environment)
+      ? environments
+      : [findEnvironment(environments, cmdObj.environment)];
+
+    const records = _.reverse(
+      await readEnvironmentsReleaseHistory(
+        bucketNames,
+        chosenEnvironments,
+        bucketPath
+      )
+    );
+
+    if (cmdObj.json) {
+      console.log(JSON.stringify(records, null, 2));
+      return;
+    }
+
+    if (records.length === 0) {
+      console.log("No releases have been recorded yet.");
+      return;
+    }
+
+    for (const record of records) {
+      const previousHashShort =
+        !record.previousHash || record.previousHash === "Unreleased!"
+          ? "Unreleased!"
+          : makeHashDigest(record.previousHash);
+      const gitShaShort = record.gitSha ? makeHashDigest(record.gitSha) : "";
+      const gitBranch = _.truncate(record.gitBranch || "", { length: 15 });
+      console.log(
+        [
+          _.padEnd(record.releasedAt, 24),
+          _.padEnd(record.environment, 12),
+          _.padEnd(record.type, 8),
+          _.padEnd(record.user, 16),
+          `hash[${previousHashShort}] -> hash[${makeHashDigest(record.hash)}]`,
+          `git[${gitShaShort}] [${gitBranch}]`,
+        ].join(" | ")
+      );
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * Lock an environment so nobody releases to it without overriding the lock.
+ *
+ * @param cmdObj
+ * @param bucketNames
+ * @param {array} environments
+ * @param bucketPath
+ * @returns {Promise<void>}
+ */
+const lockCmd = async (cmdObj, bucketNames, environments, bucketPath) => {
+  try {
+    const environment = findEnvironment(environments, cmdObj.environment);
+    const bucketName = getEnvironmentBucketName(bucketNames, environment);
+
+    const previousLock = await readLock(
+      bucketName,
+      bucketPath,
+      environment.key
+    );
+    if (previousLock) {
+      console.log(
+        `${environment.key} was already locked by ${previousLock.user || "someone"} on ${previousLock.lockedAt}: ${previousLock.reason}`
+      );
+    }
+
+    await writeLock(bucketName, bucketPath, {
+      environment: environment.key,
+      reason: cmdObj.reason,
+      user: process.env.USER,
+      lockedAt: new Date().toISOString(),
+    });
+    console.log(`Locked ${environment.key}: ${cmdObj.reason}`);
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * Unlock a locked environment.
+ *
+ * @param cmdObj
+ * @param bucketNames
+ * @param {array} environments
+ * @param bucketPath
+ * @returns {Promise<void>}
+ */
+const unlockCmd = async (cmdObj, bucketNames, environments, bucketPath) => {
+  try {
+    const environment = findEnvironment(environments, cmdObj.environment);
+    const bucketName = getEnvironmentBucketName(bucketNames, environment);
+
+    const lock = await readLock(bucketName, bucketPath, environment.key);
+    if (!lock) {
+      console.log(`${environment.key} is not locked.`);
+      return;
+    }
 
-  hash.update(raw);
-  const hashed = hash.digest("hex");
-  const prefix = bucketPath + "/" + hashed;
+    await deleteLock(bucketName, bucketPath, environment.key);
+    console.log(
+      `Unlocked ${environment.key}, it was locked by ${lock.user || "someone"} on ${lock.lockedAt}: ${lock.reason}`
+    );
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+};
 
-  const data = JSON.stringify(
-    {
-      commit,
-      branch,
-      raw,
-      hash: hashed,
-      prefix,
-    },
-    null,
-    2
-  );
+/**
+ * Pin a deployed version so delete-old-deploys never deletes it.
+ *
+ * @param {string} hash At least the first 7 characters of the hash.
+ * @param cmdObj
+ * @param bucketNames
+ * @param bucketPath
+ * @param packageName
+ * @returns {Promise<void>}
+ */
+const pinCmd = async (hash, cmdObj, bucketNames, bucketPath, packageName) => {
+  try {
+    if (hash.length < 7) {
+      throw new Error(
+        `The hash "${hash}" is not long enough, it should be at least 7 characters.`
+      );
+    }
 
-  writeFile(gurglerPath, data, (err) => {
-    if (err) {
-      throw err;
+    const hashes = [];
+    for (const bucketName of _.uniq(Object.values(bucketNames))) {
+      const versions = await getDeployedVersionList(bucketName, bucketPath);
+      hashes.push(
+        ...formatAndLimitDeployedVersions(versions, versions.length)
+          .map((version) => version.hash)
+          .filter((versionHash) => _.startsWith(versionHash, hash))
+      );
+    }
+    const matches = _.uniq(hashes);
+    if (matches.length === 0) {
+      throw new Error(`The hash "${hash}" is not deployed in any S3 bucket.`);
+    }
+    if (matches.length > 1) {
+      throw new Error(
+        `The hash "${hash}" matches ${matches.length} deployed versions, use more of it.`
+      );
     }
+
+    await addPin(bucketNames, bucketPath, {
+      hash: matches[0],
+      reason: cmdObj.reason,
+      user: process.env.USER,
+      pinnedAt: new Date().toISOString(),
+    });
     console.log(
-      `gurgler successfully configured; the current build info can be found at ${gurglerPath}\n`
+      `Pinned ${packageName}[${makeHashDigest(matches[0])}], delete-old-deploys will leave it alone.`
     );
-  });
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
 };
 
 /**
+ * Unpin a pinned version, so delete-old-deploys can delete it again.
  *
- * @param bucketRegion
+ * @param {string} hash At least the first 7 characters of the hash.
+ * @param cmdObj
  * @param bucketNames
- * @param gurglerPath
- * @param globs
- * @param pretend {boolean}
+ * @param bucketPath
+ * @param packageName
+ * @returns {Promise<void>}
  */
-const deployCmd = async (bucketRegion, bucketNames, gurglerPath, globs, pretend = false) => {
-  console.log("deployCmd", bucketRegion, bucketNames, gurglerPath, globs, pretend);
+const unpinCmd = async (hash, cmdObj, bucketNames, bucketPath, packageName) => {
+  try {
+    if (hash.length < 7) {
+      throw new Error(
+        `The hash "${hash}" is not long enough, it should be at least 7 characters.`
+      );
+    }
 
-  const data = await readFile(gurglerPath);
-  let localFilePaths = [gurglerPath];
+    const matches = (await readAllPins(bucketNames, bucketPath)).filter(
+      (pin) => _.startsWith(pin.hash, hash)
+    );
+    if (matches.length === 0) {
+      console.log(`Nothing with the hash "${hash}" is pinned.`);
+      return;
+    }
+    if (matches.length > 1) {
+      throw new Error(
+        `The hash "${hash}" matches ${matches.length} pinned versions, use more of it.`
+      );
+    }
 
-  globs.forEach((aGlob) => {
-    localFilePaths = localFilePaths.concat(
-      glob.sync(aGlob.pattern, {
-        ignore: aGlob.ignore,
-      })
+    await removePin(bucketNames, bucketPath, matches[0].hash);
+    console.log(`Unpinned ${packageName}[${makeHashDigest(matches[0].hash)}].`);
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * Decide which of the versions deployed to the bucket of a server environment to keep and which to
+ * delete, according to the retention rules.
+ *
+ * @param {object} bucketNames
+ * @param {string} serverEnvironment
+ * @param {string} bucketPath
+ * @param {object} retention The retention config value with any flags folded in.
+ * @param {object} protection What loadProtection found.
+ * @returns {Promise<[{version: object, keep: boolean, rule: string}]>} Oldest first.
+ */
+
+const planCleanup = async (
+  bucketNames,
+  serverEnvironment,
+  bucketPath,
+  retention,
+  protection
+) => {
+  const versions = await getAllDeployedVersions(
+    bucketNames,
+    { serverEnvironment },
+    bucketPath
+  );
+
+  return _.reverse(applyRetention(versions, retention, protection));
+};
+
+/**
+ * Find out what is released right now, what was released before and what is pinned, which is what
+ * decides which versions are protected from delete-old-deploys.
+ *
+ * @param {object} bucketNames
+ * @param {array} environments
+ * @param {string} bucketPath
+ * @returns {Promise<{environments: array, history: array, pins: array}>}
+ */
+
+const loadProtection = async (bucketNames, environments, bucketPath) => {
+  const releasedEnvironments = await requestCurrentlyReleasedVersions(
+    environments
+  );
+  const history = await readEnvironmentsReleaseHistory(
+    bucketNames,
+    releasedEnvironments,
+    bucketPath
+  );
+  const pins = await readAllPins(bucketNames, bucketPath);
+
+  return { environments: releasedEnvironments, history, pins };
+};
+
+/**
+ * Check SSM for what is released right now, to make sure a version didn't get released since the
+ * cleanup plan was made. Throws if it did.
+ *
+ * @param {array} environments
+ * @param {string} hash
+ * @returns {Promise<void>}
+ */
+
+const checkStillUnreleased = async (environments, hash) => {
+  const releasedEnvironments = await requestCurrentlyReleasedVersions(
+    environments.map((environment) => ({ ...environment }))
+  );
+  const environmentKeys = releasedEnvironments
+    .filter((environment) => environment.releasedHash === hash)
+    .map((environment) => environment.key);
+  if (environmentKeys.length > 0) {
+    throw new Error(
+      `Stopped deleting hash[${hash}], it was just released to ${environmentKeys.join(
+        ", "
+      )}.`
     );
-  });
+  }
+};
+
+/**
+ * Make the plan of what delete-old-deploys deletes in the buckets of some server environments. See
+ * bin/cleanup.mjs for what it looks like.
+ *
+ * @param {object} bucketNames
+ * @param {string[]} serverEnvironments
+ * @param {string} bucketPath
+ * @param {object} retention The retention config value with any flags folded in.
+ * @param {object} protection What loadProtection found.
+ * @returns {Promise<object>}
+ */
+
+const makeCleanupPlan = async (
+  bucketNames,
+  serverEnvironments,
+  bucketPath,
+  retention,
+  protection
+) => {
+  const client = new S3Client();
+  const byBucket = _.groupBy(serverEnvironments, (serverEnvironment) =>
+    _.get(bucketNames, serverEnvironment)
+  );
+
+  const buckets = [];
+  for (const [bucketName, bucketServerEnvironments] of Object.entries(
+    byBucket
+  )) {
+    const decisions = await planCleanup(
+      bucketNames,
+      bucketServerEnvironments[0],
+      bucketPath,
+      retention,
+      protection
+    );
+    buckets.push(
+      await makeBucketPlan(
+        client,
+        bucketName,
+        bucketPath,
+        bucketServerEnvironments,
+        decisions
+      )
+    );
+  }
+
+  return {
+    createdAt: new Date().toISOString(),
+    bucketPath,
+    retention,
+    buckets,
+  };
+};
 
-  const { prefix, raw } = JSON.parse(data);
+/**
+ * Make sure a plan read from a file is for this bucket path and only deletes from the buckets of the
+ * config. A plan is only a file, so it could say anything. Throws if it is not.
+ *
+ * @param {object} plan
+ * @param {object} bucketNames
+ * @param {string} bucketPath
+ * @param {object} sourceMapsConfig The sourceMaps config value.
+ */
 
-  localFilePaths.forEach((localFilePath) => {
-    if(statSync(localFilePath).isFile()) {
-      // Skip anything that's not a file (like a directory).
-      readFileAndDeploy(bucketRegion, bucketNames, prefix, localFilePath, raw, pretend);
+const checkCleanupPlan = (plan, bucketNames, bucketPath, sourceMapsConfig) => {
+  if (!isCleanupPlan(plan)) {
+    throw new Error("The plan is not a delete-old-deploys plan.");
+  }
+  if (plan.bucketPath !== bucketPath) {
+    throw new Error(
+      `The plan is for the path ${plan.bucketPath}, not ${bucketPath}.`
+    );
+  }
+  const configuredBucketNames = _.uniq(Object.values(bucketNames));
+  const sourceMapBucketNames = _.compact([
+    ...configuredBucketNames,
+    _.get(sourceMapsConfig, "bucket"),
+  ]);
+  for (const bucketPlan of plan.buckets) {
+    if (!configuredBucketNames.includes(bucketPlan.bucket)) {
+      throw new Error(
+        `The plan deletes from the S3 bucket ${bucketPlan.bucket}, which is not in bucketNames.`
+      );
     }
-  });
+    for (const plannedVersion of bucketPlan.versions) {
+      const sourceMap = _.find(
+        plannedVersion.sourceMaps,
+        (sourceMap) => !sourceMapBucketNames.includes(sourceMap.bucket)
+      );
+      if (sourceMap) {
+        throw new Error(
+          `The plan deletes a source map from the S3 bucket ${sourceMap.bucket}, which is neither in bucketNames nor the sourceMaps bucket.`
+        );
+      }
+    }
+  }
 };
 
-const releaseCmd = (
-  cmdObj,
+/**
+ * Delete the versions in the plan for one bucket, along with their source maps once no bucket has the
+ * version any more, and then the files of the deploys that never finished. Each version is checked
+ * against what is released and pinned right now first, things may have changed since the plan was made.
+ *
+ * @param {object} bucketPlan
+ * @param {object} bucketNames
+ * @param {array} environments
+ * @param {string} bucketPath
+ * @param {string} protectReleasedWithin The retention value, if any.
+ * @param {function} onDelete Called with the hash of each version just before it is deleted.
+ * @returns {Promise<{deleted: string[], refused: [{hash: string, reason: string}], failed: [{hash: string, error: Error}]}>}
+ */
+
+const deleteBucketPlan = async (
+  bucketPlan,
   bucketNames,
-  lambdaFunctions,
   environments,
   bucketPath,
-  packageName,
-  githubRepoUrl
+  protectReleasedWithin,
+  onDelete = () => {}
 ) => {
-  let environment;
-  let version;
+  const client = new S3Client();
+  const result = { deleted: [], refused: [], failed: [] };
+  const findProtection = makeProtection({
+    ...(await loadProtection(bucketNames, environments, bucketPath)),
+    protectReleasedWithin,
+  });
+  for (const plannedVersion of bucketPlan.versions) {
+    const { hash } = plannedVersion;
+    const protectionReason = findProtection(hash);
+    if (protectionReason) {
+      result.refused.push({ hash, reason: protectionReason });
+      continue;
+    }
 
-  requestCurrentlyReleasedVersions(environments)
-    .then((environments) => {
-      return determineEnvironment(cmdObj, environments);
-    })
-    .then((answers) => {
-      environment = answers.environment;
-      return determineVersionToRelease(
-        cmdObj,
-        bucketNames,
-        environment,
-        bucketPath,
-        packageName
+    onDelete(hash);
+    try {
+      const beforeDelete = () => checkStillUnreleased(environments, hash);
+      await deletePlannedVersion(
+        client,
+        bucketPlan.bucket,
+        plannedVersion,
+        beforeDelete
       );
-    })
-    .then((answers) => {
-      version = answers.version;
-      return confirmRelease(environment, version, packageName);
-    })
-    .then((answers) => {
-      // noinspection JSUnresolvedVariable
-      if (answers.confirmation) {
-        release(
-          environment,
-          version,
-          lambdaFunctions,
-          packageName,
-          githubRepoUrl
+
+      // The source maps go with the last copy of the version.
+      let isDeployedElsewhere = false;
+      for (const otherBucketName of _.uniq(Object.values(bucketNames))) {
+        if (
+          await manifestExists(client, otherBucketName, `${bucketPath}/${hash}`)
+        ) {
+          isDeployedElsewhere = true;
+        }
+      }
+      if (!isDeployedElsewhere) {
+        await deletePlannedSourceMaps(client, plannedVersion, beforeDelete);
+      }
+      result.deleted.push(hash);
+    } catch (error) {
+      result.failed.push({ hash, error });
+    }
+  }
+
+  for (const abandoned of bucketPlan.abandoned || []) {
+    const { hash } = abandoned;
+    const protectionReason = findProtection(hash);
+    if (protectionReason) {
+      result.refused.push({ hash, reason: protectionReason });
+      continue;
+    }
+
+    onDelete(hash);
+    try {
+      // Whoever deploys the version again sends its manifest last, after skipping these files.
+      const beforeDelete = async () => {
+        const prefix = `${bucketPath}/${hash}`;
+        if (await manifestExists(client, bucketPlan.bucket, prefix)) {
+          throw new Error(
+            `Stopped deleting hash[${hash}], its deploy finished after all.`
+          );
+        }
+      };
+      await deleteAbandonedDeploy(
+        client,
+        bucketPlan.bucket,
+        abandoned,
+        beforeDelete
+      );
+      result.deleted.push(hash);
+    } catch (error) {
+      result.failed.push({ hash, error });
+    }
+  }
+  return result;
+};
+
+const printCleanupPlan = (plan, packageName) => {
+  for (const bucketPlan of plan.buckets) {
+    console.log(
+      `\nS3 bucket ${bucketPlan.bucket} (${bucketPlan.serverEnvironments.join(
+        ", "
+      )}): delete ${bucketPlan.versions.length} of ${
+        bucketPlan.versions.length + bucketPlan.kept.length
+      } version(s) and ${
+        (bucketPlan.abandoned || []).length
+      } deploy(s) that never finished, ${bucketPlan.objectCount} object(s), ${
+        bucketPlan.bytes
+      } bytes`
+    );
+    for (const version of bucketPlan.versions) {
+      console.log(
+        [
+          "delete",
+          `${packageName}[${makeHashDigest(version.hash)}]`,
+          `git[${version.gitSha ? makeHashDigest(version.gitSha) : ""}]`,
+          _.padEnd(
+            `[${_.truncate(version.gitBranch || "", { length: 15 })}]`,
+            17
+          ),
+          version.deployedAt,
+          _.padStart(`${version.keys.length} object(s)`, 14),
+          _.padStart(`${version.bytes} bytes`, 16),
+          version.reason,
+        ].join(" | ")
+      );
+      if (!_.isEmpty(version.sourceMaps)) {
+        console.log(
+          `         and its ${version.sourceMaps.length} source map(s), unless the version is still in another bucket`
         );
-      } else {
-        console.log("Cancelling release...");
       }
-    })
-    .catch((err) => console.error(err));
+    }
+    for (const abandoned of bucketPlan.abandoned || []) {
+      console.log(
+        [
+          "delete",
+          `${packageName}[${makeHashDigest(abandoned.hash)}]`,
+          abandoned.lastModified,
+          _.padStart(`${abandoned.keys.length} object(s)`, 14),
+          _.padStart(`${abandoned.bytes} bytes`, 16),
+          abandoned.reason,
+        ].join(" | ")
+      );
+    }
+    for (const version of bucketPlan.kept) {
+      console.log(
+        [
+          "keep  ",
+          `${packageName}[${makeHashDigest(version.hash)}]`,
+          version.reason,
+        ].join(" | ")
+      );
+    }
+  }
+};
+
+/**
+ * Fold the --older-than and --keep flags of delete-old-deploys into the retention config value.
+ *
+ * @param {object} cmdObj
+ * @param {object} retention
+ * @returns {object}
+ */
+
+const makeRetention = (cmdObj, retention = {}) => {
+  const result = { ...retention };
+  if (!_.isUndefined(cmdObj.olderThan)) {
+    parseDuration(cmdObj.olderThan);
+    result.maxAge = cmdObj.olderThan;
+  }
+  if (!_.isUndefined(cmdObj.keep)) {
+    const keep = Number(cmdObj.keep);
+    if (!Number.isInteger(keep) || keep < 0) {
+      throw new Error("The number of versions to keep must be a whole number.");
+    }
+    result.keepLatest = keep;
+  }
+  return result;
 };
 
 /**
@@ -649,6 +3068,8 @@ const releaseCmd = (
  * @param {string} bucketRegion
  * @param bucketPath
  * @param packageName
+ * @param {object} retentionConfig The retention config value.
+ * @param {object} sourceMapsConfig The sourceMaps config value.
  * @returns {Promise<void>}
  */
 const cleanupCmd = async (
@@ -658,10 +3079,25 @@ const cleanupCmd = async (
   environments,
   bucketRegion,
   bucketPath,
-  packageName
+  packageName,
+  retentionConfig,
+  sourceMapsConfig
 ) => {
-  const now = new Date();
-  const ninetyDaysAgo = new Date(now.getTime() - 1000 * 60 * 60 * 24 * 90);
+  let retention;
+  try {
+    if (cmdObj.json && !cmdObj.dryRun) {
+      throw new Error("--json only works with --dry-run.");
+    }
+    if (cmdObj.plan && (cmdObj.olderThan || cmdObj.keep)) {
+      throw new Error(
+        "--older-than and --keep can't change a plan that was already made."
+      );
+    }
+    retention = makeRetention(cmdObj, retentionConfig);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
 
   // This line might be too clever. It's getting all the server environments and then getting an array of just the unique ones.
   // noinspection JSUnresolvedVariable
@@ -671,114 +3107,140 @@ const cleanupCmd = async (
     ),
   ];
 
-  const confirmationQuestions = serverEnvironments.map((serverEnvironment) => {
-    const bucketName = _.get(bucketNames, serverEnvironment);
-    return {
-      type: "confirm",
-      name: serverEnvironment,
-      message: `Do you want to clean up the gurgler assets in the S3 bucket ${bucketName} with the path: ${bucketPath}?`,
-      default: false,
-    };
-  });
-
-  inquirer.prompt(confirmationQuestions).then((answers) => {
-    serverEnvironments.map((serverEnvironment) => {
-      if (answers[serverEnvironment]) {
-        const bucketName = _.get(bucketNames, serverEnvironment);
-        console.log(
-          `Cleaning up gurgler assets in the S3 bucket ${bucketName} with the path: ${bucketPath} `
+  try {
+    let plan;
+    if (cmdObj.plan) {
+      plan = await readCleanupPlan(cmdObj.plan);
+      checkCleanupPlan(plan, bucketNames, bucketPath, sourceMapsConfig);
+    } else {
+      let chosenServerEnvironments = serverEnvironments;
+      // A dry run looks at every bucket, there is nothing to be careful about.
+      if (!cmdObj.dryRun) {
+        const confirmationQuestions = serverEnvironments.map(
+          (serverEnvironment) => {
+            const bucketName = _.get(bucketNames, serverEnvironment);
+            return {
+              type: "confirm",
+              name: serverEnvironment,
+              message: `Do you want to clean up the gurgler assets in the S3 bucket ${bucketName} with the path: ${bucketPath}?`,
+              default: false,
+            };
+          }
+        );
+        const answers = isNonInteractive(cmdObj)
+          ? _.fromPairs(
+              confirmationQuestions.map((question) => [
+                question.name,
+                confirmNonInteractively(cmdObj, question.message),
+              ])
+            )
+          : await inquirer.prompt(confirmationQuestions);
+        chosenServerEnvironments = serverEnvironments.filter(
+          (serverEnvironment) => answers[serverEnvironment]
         );
+      }
+
+      plan = await makeCleanupPlan(
+        bucketNames,
+        chosenServerEnvironments,
+        bucketPath,
+        retention,
+        await loadProtection(bucketNames, environments, bucketPath)
+      );
+    }
+
+    if (cmdObj.json) {
+      console.log(JSON.stringify(plan, null, 2));
+      return;
+    }
+    printCleanupPlan(plan, packageName);
+    if (cmdObj.dryRun) {
+      return;
+    }
+
+    for (const bucketPlan of plan.buckets) {
+      const bucketName = bucketPlan.bucket;
+      const abandonedCount = (bucketPlan.abandoned || []).length;
+      if (bucketPlan.versions.length + abandonedCount < 1) {
+        console.log(`\nNothing to delete in the S3 bucket ${bucketName}.`);
+        continue;
+      }
 
-        requestCurrentlyReleasedVersions(environments)
-          .then((releasedVersions) => {
-            return getDeployedVersionListWithMetadata(
-              bucketName,
-              bucketPath,
-              packageName
-            ).then((deployedArtifacts) => {
-              console.log(
-                `There are currently a total of ${deployedArtifacts.length} deployed artifacts in ${serverEnvironment}.`
-              );
-
-              const oldArtifacts = deployedArtifacts
-                .filter((artifact) => {
-                  // only allow an asset to be deleted if it's older than a year
-                  return (
-                    artifact.lastModified.getTime() < ninetyDaysAgo.getTime()
-                  );
-                })
-                .filter((artifact) => {
-                  // only allow an asset to be deleted if it's not being used in any of the environments
-                  for (const releasedVersion of releasedVersions) {
-                    // noinspection JSUnresolvedVariable
-                    if (releasedVersion.releasedHash === artifact.hash) {
-                      return false;
-                    }
-                  }
-                  return true;
-                });
-              console.log(
-                `We are going to delete ${oldArtifacts.length} ${packageName} artifact(s) in ${serverEnvironment}`
-              );
-
-              return oldArtifacts;
-            });
-          })
-          .then((artifactsToDelete) => {
-            if (artifactsToDelete.length < 1) {
-              console.log("Nothing to delete.");
-            }
-
-            for (const artifact of artifactsToDelete) {
-              console.log(artifact.displayName);
-            }
-            inquirer
-              .prompt({
-                type: "confirm",
-                name: "reallyDelete",
-                message: `Really delete these assets in the S3 bucket ${bucketName} with the path: ${bucketPath}?`,
-                default: false,
-              })
-              .then(async (answers) => {
-                // noinspection JSUnresolvedVariable
-                if (answers.reallyDelete) {
-                  for (const artifact of artifactsToDelete) {
-                    console.log("Deleting", artifact.hash);
-
-                    const client = new S3Client();
-
-                    await emptyS3Directory(
-                      client,
-                      bucketName,
-                      artifact.directoryPath
-                    );
-
-                    const input = {
-                      Bucket: bucketName,
-                      Delete: {
-                        Objects: [
-                          {
-                            Key: artifact.filepath,
-                          },
-                          {
-                            Key: artifact.directoryPath,
-                          },
-                        ],
-                      },
-                    };
-
-                    const command = new DeleteObjectsCommand(input);
-                    await client.send(command);
-                  }
-                  console.log("Deleted.");
-                } else {
-                  console.log("Very well, not deleting anything then.");
-                }
-              });
+      const reallyDeleteMessage = `Really delete these ${bucketPlan.versions.length} version(s) and ${abandonedCount} unfinished deploy(s) (${bucketPlan.objectCount} object(s), ${bucketPlan.bytes} bytes) in the S3 bucket ${bucketName} with the path: ${bucketPath}?`;
+      const { reallyDelete } = isNonInteractive(cmdObj)
+        ? {
+            reallyDelete: confirmNonInteractively(cmdObj, reallyDeleteMessage),
+          }
+        : await inquirer.prompt({
+            type: "confirm",
+            name: "reallyDelete",
+            message: reallyDeleteMessage,
+            default: false,
           });
+      if (!reallyDelete) {
+        console.log("Very well, not deleting anything then.");
+        continue;
       }
-    });
-  });
+
+      const { refused, failed } = await deleteBucketPlan(
+        bucketPlan,
+        bucketNames,
+        environments,
+        bucketPath,
+        retention.protectReleasedWithin,
+        (hash) => console.log("Deleting", hash)
+      );
+      for (const { hash, reason } of refused) {
+        console.error(`Refusing to delete hash[${hash}]: ${reason}.`);
+      }
+      for (const { error } of failed) {
+        console.error(error.message);
+      }
+      if (refused.length > 0 || failed.length > 0) {
+        process.exitCode = 1;
+      }
+      console.log("Done.");
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
 };
 
-export { configureCmd, deployCmd, releaseCmd, cleanupCmd };
+export {
+  configureCmd,
+  deployCmd,
+  releaseCmd,
+  rollbackCmd,
+  promoteCmd,
+  statusCmd,
+  listCmd,
+  historyCmd,
+  lockCmd,
+  unlockCmd,
+  pinCmd,
+  unpinCmd,
+  verifyCmd,
+  syncCmd,
+  cleanupCmd,
+  writeGurglerFile,
+  deploy,
+  verify,
+  sync,
+  getStatus,
+  release,
+  findVersionToPromote,
+  promote,
+  checkEnvironmentLock,
+  requestCurrentlyReleasedVersions,
+  findEnvironment,
+  getAllDeployedVersions,
+  findDeployedVersionByCommit,
+  findLatestDeployedVersionOnBranch,
+  findDeployedVersionByHash,
+  makeRetention,
+  loadProtection,
+  makeCleanupPlan,
+  checkCleanupPlan,
+  deleteBucketPlan,
+};
@@ -0,0 +1,567 @@
+import _ from "lodash";
+import { join } from "path";
+import { readFileSync } from "fs";
+import { loadConfig, validateConfig, validateGlobs } from "./bin/config.mjs";
+import * as v2 from "./bin/v2.mjs";
+import { checkReleaseBranch } from "./bin/branches.mjs";
+import {
+  findRollbackTarget,
+  readReleaseHistory,
+  readEnvironmentsReleaseHistory,
+} from "./bin/history.mjs";
+
+/**
+ * The programmatic side of gurgler. Every function takes a config object shaped like the "gurgler" key
+ * in package.json, plus `packageName` and `gurglerPath` (see `loadConfig`), and throws instead of
+ * exiting the process when something is wrong.
+ */
+
+const defaultGurglerPath = () =>
+  join(process.env.PWD || process.cwd(), "gurgler.json");
+
+/**
+ * The path the assets will be served from once deployed, based on the prefix in gurgler.json.
+ *
+ * @param {object} [options]
+ * @param {string} [options.gurglerPath] Defaults to gurgler.json in the current directory.
+ * @param {string} [options.baseUrl] Prepended to the prefix, defaults to "/".
+ * @returns {string}
+ */
+const publicPath = ({
+  gurglerPath = defaultGurglerPath(),
+  baseUrl = "/",
+} = {}) => {
+  let gurglerData;
+  try {
+    gurglerData = JSON.parse(readFileSync(gurglerPath));
+  } catch (err) {
+    throw new Error(
+      `Unable to read ${gurglerPath}, run "gurgler configure <gitCommitSha> <gitBranch>" first: ${err.message}`,
+    );
+  }
+
+  return `${_.trimEnd(baseUrl, "/")}/${gurglerData.prefix}/`;
+};
+
+/**
+ * Write gurgler.json for a build of a particular commit on a particular branch.
+ *
+ * @param {object} config
+ * @param {object} options
+ * @param {string} options.commit
+ * @param {string} options.branch
+ * @returns {Promise<object>} The contents of gurgler.json.
+ */
+const configure = async (config, { commit, branch }) => {
+  validateConfig(config);
+  if (_.isEmpty(commit) || _.isEmpty(branch)) {
+    throw new Error("Both a git commit and a git branch are required.");
+  }
+  return v2.writeGurglerFile(
+    config.gurglerPath || defaultGurglerPath(),
+    config.bucketPath,
+    commit,
+    branch,
+  );
+};
+
+/**
+ * Send gurgler.json and every file matched by localFileGlobs to each of the buckets. Throws if any of
+ * the uploads failed, after every upload has been attempted.
+ *
+ * @param {object} config
+ * @param {object} [options]
+ * @param {boolean} [options.pretend] Do not actually send the files.
+ * @param {number} [options.concurrency] How many files to upload at once, defaults to 8.
+ * @param {boolean} [options.hashFilenames] Put each file's checksum into its key, defaults to the
+ *   hashFilenames config value.
+ * @param {boolean} [options.force] Send every file, even the ones that are already in the bucket as is.
+ * @returns {Promise<{prefix: string, localFilePaths: string[], uploaded: object[], failed: object[]}>}
+ */
+const deploy = async (
+  config,
+  {
+    pretend = false,
+    concurrency = 8,
+    hashFilenames = config.hashFilenames,
+    force = false,
+  } = {},
+) => {
+  validateConfig(config);
+  validateGlobs(config.localFileGlobs);
+  const result = await v2.deploy(
+    config.bucketRegion,
+    config.bucketNames,
+    config.gurglerPath || defaultGurglerPath(),
+    config.localFileGlobs,
+    {
+      pretend,
+      concurrency,
+      hashFilenames: Boolean(hashFilenames),
+      acl: config.acl,
+      contentTypes: config.contentTypes,
+      compression: config.compression,
+      sourceMaps: config.sourceMaps,
+      force,
+      log: () => {},
+    },
+  );
+
+  if (result.failed.length > 0) {
+    const { localFilePath, bucketName, error } = result.failed[0];
+    throw new Error(
+      `${result.failed.length} upload(s) failed, the first was ${localFilePath} to S3 bucket ${bucketName}: ${error.message}`,
+    );
+  }
+
+  return result;
+};
+
+/**
+ * Check that every file in the manifest of a deployed version is in each bucket, intact.
+ *
+ * @param {object} config
+ * @param {object} options
+ * @param {string} options.hash The gurgler hash of the version, at least 7 characters.
+ * @returns {Promise<[{bucketName: string, verified: string[], problems: [{key: string, problem: string}]}]>}
+ */
+const verify = async (config, { hash }) => {
+  validateConfig(config);
+  return v2.verify(
+    hash,
+    config.bucketRegion,
+    config.bucketNames,
+    config.bucketPath,
+  );
+};
+
+/**
+ * List the versions deployed to the bucket of a server environment, latest first.
+ *
+ * @param {object} config
+ * @param {object} options
+ * @param {string} options.serverEnvironment A key of bucketNames.
+ * @returns {Promise<[{object}]>}
+ */
+const listDeploys = async (config, { serverEnvironment }) => {
+  validateConfig(config);
+  return v2.getAllDeployedVersions(
+    config.bucketNames,
+    { serverEnvironment },
+    config.bucketPath,
+  );
+};
+
+/**
+ * Look up an environment by its key, along with what is currently released to it.
+ *
+ * @param {object} config
+ * @param {string} environmentKey
+ * @returns {Promise<object>}
+ */
+const getEnvironment = async (config, environmentKey) => {
+  if (_.isEmpty(config.environments)) {
+    throw new Error("The config value environments is not set.");
+  }
+  // Copied, requestCurrentlyReleasedVersions folds what is released into the environment.
+  const environment = {
+    ...v2.findEnvironment(config.environments, environmentKey),
+  };
+  await v2.requestCurrentlyReleasedVersions([environment]);
+  return environment;
+};
+
+/**
+ * Check the allowedBranches of an environment before releasing to it. Nobody is asked anything here,
+ * so where the CLI would ask for a confirmation, allowBranch has to be set instead. Throws if the
+ * release can't go ahead.
+ *
+ * @param {object} environment
+ * @param {object} version
+ * @param {boolean} allowBranch Go ahead where the branch needs a confirmation.
+ * @returns {string[]} The warnings about the branch.
+ */
+const checkReleaseBranchAllowed = (environment, version, allowBranch) => {
+  const branchRule = checkReleaseBranch(environment, version.gitBranch);
+  if (!branchRule) {
+    return [];
+  }
+  if (branchRule.enforcement === "block") {
+    throw new Error(`Refusing to release the ${branchRule.description}.`);
+  }
+  if (branchRule.enforcement === "confirm" && !allowBranch) {
+    throw new Error(
+      `Set allowBranch to release the ${branchRule.description}.`,
+    );
+  }
+  return [`Releasing the ${branchRule.description}.`];
+};
+
+/**
+ * Release a deployed version to an environment, without asking any questions. The version is the newest
+ * one built from a git commit, the one with a gurgler hash, or the newest one built from a git branch.
+ *
+ * @param {object} config
+ * @param {object} options
+ * @param {string} options.environment The key of the environment.
+ * @param {string} [options.commit] The git sha of the deployed version, at least 7 characters.
+ * @param {string} [options.hash] The gurgler hash of the deployed version, at least 7 characters.
+ * @param {string} [options.branch] The git branch to release the latest deployed version of.
+ * @param {string} [options.overrideLock] Why to release even though the environment is locked.
+ * @param {boolean} [options.allowBranch] Release even though the environment's allowedBranches ask for
+ * a confirmation.
+ * @returns {Promise<{environment: object, version: object, warnings: string[], historyError?: string}>}
+ * historyError is why the release, which is live all the same, is missing from the release history.
+ */
+const release = async (
+  config,
+  {
+    environment: environmentKey,
+    commit,
+    hash,
+    branch,
+    overrideLock,
+    allowBranch = false,
+  },
+) => {
+  validateConfig(config);
+  const chosenBy = [commit, hash, branch].filter((value) => !_.isEmpty(value));
+  if (chosenBy.length === 0) {
+    throw new Error(
+      "The git commit, hash or git branch of the version to release is not set.",
+    );
+  }
+  if (chosenBy.length > 1) {
+    throw new Error(
+      "Only one of the git commit, hash and git branch of the version to release can be set.",
+    );
+  }
+
+  const environment = await getEnvironment(config, environmentKey);
+  await v2.checkEnvironmentLock(
+    config.bucketNames,
+    environment,
+    config.bucketPath,
+    overrideLock,
+    () => {},
+  );
+  const args = [
+    config.bucketNames,
+    environment,
+    config.bucketPath,
+    config.packageName,
+  ];
+  let version;
+  if (!_.isEmpty(commit)) {
+    version = await v2.findDeployedVersionByCommit(...args, commit);
+  } else if (!_.isEmpty(hash)) {
+    version = await v2.findDeployedVersionByHash(...args, hash);
+  } else {
+    version = await v2.findLatestDeployedVersionOnBranch(...args, branch);
+  }
+  const warnings = checkReleaseBranchAllowed(environment, version, allowBranch);
+
+  const { historyError } = await v2.release(
+    environment,
+    version,
+    config.lambdaFunctions,
+    config.packageName,
+    config.githubRepoUrl,
+    {
+      bucketPath: config.bucketPath,
+      lockOverride: overrideLock,
+      log: () => {},
+    },
+  );
+
+  return { environment, version, warnings, historyError };
+};
+
+/**
+ * Copy the deployed versions that are missing from a bucket over from a bucket that has them.
+ *
+ * @param {object} config
+ * @param {object} [options]
+ * @param {string} [options.hash] Only sync this version, at least the first 7 characters of its hash.
+ * @param {boolean} [options.pretend] Only work out which versions are in which bucket.
+ * @returns {Promise<[{hash: string, lastModified: Date, source: string, buckets: object}]>}
+ */
+const sync = async (config, { hash, pretend = false } = {}) => {
+  validateConfig(config);
+  return v2.sync(config.bucketRegion, config.bucketNames, config.bucketPath, {
+    hash,
+    pretend,
+    acl: config.acl,
+    log: () => {},
+  });
+};
+
+/**
+ * Put back the version an environment had before its last so many releases, according to its release
+ * history.
+ *
+ * @param {object} config
+ * @param {object} options
+ * @param {string} options.environment The key of the environment.
+ * @param {number} [options.steps] How many releases to go back, defaults to 1.
+ * @param {string} [options.overrideLock] Why to roll back even though the environment is locked.
+ * @returns {Promise<{environment: object, version: object, historyError?: string}>} See release.
+ */
+const rollback = async (
+  config,
+  { environment: environmentKey, steps = 1, overrideLock },
+) => {
+  validateConfig(config);
+
+  const environment = await getEnvironment(config, environmentKey);
+  await v2.checkEnvironmentLock(
+    config.bucketNames,
+    environment,
+    config.bucketPath,
+    overrideLock,
+    () => {},
+  );
+  const history = await readReleaseHistory(
+    _.get(config.bucketNames, environment.serverEnvironment),
+    config.bucketPath,
+    environment.key,
+  );
+  const { hash } = findRollbackTarget(history, steps);
+  const version = await v2.findDeployedVersionByHash(
+    config.bucketNames,
+    environment,
+    config.bucketPath,
+    config.packageName,
+    hash,
+  );
+
+  const { historyError } = await v2.release(
+    environment,
+    version,
+    config.lambdaFunctions,
+    config.packageName,
+    config.githubRepoUrl,
+    {
+      bucketPath: config.bucketPath,
+      type: "rollback",
+      lockOverride: overrideLock,
+      log: () => {},
+    },
+  );
+
+  return { environment, version, historyError };
+};
+
+/**
+ * Release the version that is released to one environment to another, copying it to the bucket of the
+ * other environment first if it isn't there yet.
+ *
+ * @param {object} config
+ * @param {object} options
+ * @param {string} options.from The key of the environment to take the version from.
+ * @param {string} options.to The key of the environment to release the version to.
+ * @param {string} [options.overrideLock] Why to promote even though the environment to release to is
+ * locked.
+ * @param {boolean} [options.allowBranch] Promote even though the allowedBranches of the environment to
+ * release to ask for a confirmation.
+ * @returns {Promise<{environment: object, version: object, copied: string[], warnings: string[], historyError?: string}>}
+ * See release.
+ */
+const promote = async (
+  config,
+  { from: fromKey, to: toKey, overrideLock, allowBranch = false },
+) => {
+  validateConfig(config);
+
+  const from = await getEnvironment(config, fromKey);
+  const to = await getEnvironment(config, toKey);
+  await v2.checkEnvironmentLock(
+    config.bucketNames,
+    to,
+    config.bucketPath,
+    overrideLock,
+    () => {},
+  );
+  const promotion = await v2.findVersionToPromote(
+    from,
+    to,
+    config.bucketNames,
+    config.bucketPath,
+    config.packageName,
+  );
+  const warnings = checkReleaseBranchAllowed(
+    to,
+    promotion.version,
+    allowBranch,
+  );
+  const { copied, historyError } = await v2.promote(
+    from,
+    to,
+    promotion,
+    config.lambdaFunctions,
+    config.packageName,
+    config.githubRepoUrl,
+    {
+      bucketPath: config.bucketPath,
+      acl: config.acl,
+      lockOverride: overrideLock,
+      log: () => {},
+    },
+  );
+
+  return {
+    environment: to,
+    version: promotion.version,
+    copied,
+    warnings,
+    historyError,
+  };
+};
+
+/**
+ * Which version is released to each environment, matched to the version deployed in its bucket.
+ *
+ * @param {object} config
+ * @returns {Promise<[{object}]>} See getStatus in bin/v2.mjs.
+ */
+const status = async (config) => {
+  validateConfig(config);
+  if (_.isEmpty(config.environments)) {
+    throw new Error("The config value environments is not set.");
+  }
+  return v2.getStatus(
+    config.environments,
+    config.bucketNames,
+    config.bucketPath,
+    config.packageName,
+  );
+};
+
+/**
+ * The release history of one environment, or of every environment when none is given, newest first.
+ *
+ * @param {object} config
+ * @param {object} [options]
+ * @param {string} [options.environment] The key of the environment.
+ * @returns {Promise<[{object}]>}
+ */
+const releaseHistory = async (config, { environment: environmentKey } = {}) => {
+  validateConfig(config);
+  if (_.isEmpty(config.environments)) {
+    throw new Error("The config value environments is not set.");
+  }
+  const environments = _.isEmpty(environmentKey)
+    ? config.environments
+    : [v2.findEnvironment(config.environments, environmentKey)];
+
+  return _.reverse(
+    await readEnvironmentsReleaseHistory(
+      config.bucketNames,
+      environments,
+      config.bucketPath,
+    ),
+  );
+};
+
+/**
+ * Work out what delete-old-deploys would delete in the buckets of every server environment, without
+ * deleting anything. This is the plan `gurgler delete-old-deploys --dry-run --json` prints.
+ *
+ * @param {object} config
+ * @param {object} [options]
+ * @param {string} [options.olderThan] Only delete versions deployed longer ago than this, e.g. "30d".
+ * Overrides retention.maxAge.
+ * @param {number} [options.keep] Always keep this many of the latest versions of each branch.
+ * Overrides retention.keepLatest.
+ * @returns {Promise<object>} See bin/cleanup.mjs for what the plan looks like.
+ */
+const planCleanup = async (config, { olderThan, keep } = {}) => {
+  validateConfig(config);
+  if (_.isEmpty(config.environments)) {
+    throw new Error("The config value environments is not set.");
+  }
+  const retention = v2.makeRetention({ olderThan, keep }, config.retention);
+  const environments = config.environments.map((environment) => ({
+    ...environment,
+  }));
+
+  return v2.makeCleanupPlan(
+    config.bucketNames,
+    _.uniq(environments.map((environment) => environment.serverEnvironment)),
+    config.bucketPath,
+    retention,
+    await v2.loadProtection(
+      config.bucketNames,
+      environments,
+      config.bucketPath,
+    ),
+  );
+};
+
+/**
+ * Delete what a plan made by planCleanup says to delete. Just like delete-old-deploys, every version
+ * is checked against what is released and pinned right now before it goes, and its source maps go
+ * with its last copy. Throws if any version was not deleted, after every version has been tried.
+ *
+ * @param {object} config
+ * @param {object} options
+ * @param {object} options.plan
+ * @returns {Promise<[{bucketName: string, deleted: string[]}]>} The hashes deleted from each bucket.
+ */
+const cleanup = async (config, { plan }) => {
+  validateConfig(config);
+  if (_.isEmpty(config.environments)) {
+    throw new Error("The config value environments is not set.");
+  }
+  v2.checkCleanupPlan(
+    plan,
+    config.bucketNames,
+    config.bucketPath,
+    config.sourceMaps,
+  );
+  const environments = config.environments.map((environment) => ({
+    ...environment,
+  }));
+
+  const results = [];
+  const notDeleted = [];
+  for (const bucketPlan of plan.buckets) {
+    const { deleted, refused, failed } = await v2.deleteBucketPlan(
+      bucketPlan,
+      config.bucketNames,
+      environments,
+      config.bucketPath,
+      _.get(config.retention, "protectReleasedWithin"),
+    );
+    results.push({ bucketName: bucketPlan.bucket, deleted });
+    notDeleted.push(
+      ...refused.map(({ hash, reason }) => `hash[${hash}]: ${reason}`),
+      ...failed.map(({ hash, error }) => `hash[${hash}]: ${error.message}`),
+    );
+  }
+
+  if (notDeleted.length > 0) {
+    throw new Error(
+      `${notDeleted.length} version(s) were not deleted, the first was ${notDeleted[0]}`,
+    );
+  }
+
+  return results;
+};
+
+export {
+  loadConfig,
+  publicPath,
+  configure,
+  deploy,
+  verify,
+  sync,
+  listDeploys,
+  release,
+  rollback,
+  promote,
+  status,
+  releaseHistory,
+  planCleanup,
+  cleanup,
+};
@@ -0,0 +1,275 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import {
+  isCleanupPlan,
+  makeBucketPlan,
+  readCleanupPlan,
+} from "../bin/cleanup.mjs";
+import { makeClient } from "./fake-s3.mjs";
+
+const makeHash = (character) => character.repeat(64);
+const now = new Date("2026-03-01T00:00:00Z");
+const longAgo = new Date("2026-01-01T00:00:00Z");
+
+const makeDecision = (hash, keep, rule) => ({
+  version: {
+    hash,
+    filepath: `assets/${hash}.gurgler.json`,
+    directoryPath: `assets/${hash}`,
+    lastModified: longAgo,
+    size: 10,
+  },
+  keep,
+  rule,
+});
+
+describe("makeBucketPlan", () => {
+  it("lists every key of the versions to delete, the manifest first, and their source maps", async () => {
+    const hash = makeHash("a");
+    const sourceMaps = [
+      {
+        bucket: "maps",
+        key: `private/assets/${hash}/app.js.map`,
+        size: 3,
+        sha256: "x",
+      },
+    ];
+    const client = makeClient([
+      {
+        Key: `assets/${hash}.gurgler.json`,
+        Body: JSON.stringify({ hash, sourceMaps }),
+      },
+      { Key: `assets/${hash}/app.js`, Size: 5 },
+      { Key: `assets/${hash}/app.css`, Size: 7 },
+      `assets/${makeHash("b")}.gurgler.json`,
+      `assets/${makeHash("b")}/app.js`,
+    ]);
+
+    const bucketPlan = await makeBucketPlan(
+      client,
+      "bucket",
+      "assets",
+      ["production"],
+      [
+        makeDecision(hash, false, "deployed more than 90d ago"),
+        makeDecision(makeHash("b"), true, "released to production"),
+      ],
+      now,
+    );
+
+    assert.deepEqual(bucketPlan.versions, [
+      {
+        hash,
+        gitSha: undefined,
+        gitBranch: undefined,
+        deployedAt: longAgo.toISOString(),
+        reason: "deployed more than 90d ago",
+        keys: [
+          `assets/${hash}.gurgler.json`,
+          `assets/${hash}/app.js`,
+          `assets/${hash}/app.css`,
+        ],
+        bytes: 22,
+        sourceMaps: [
+          { bucket: "maps", key: `private/assets/${hash}/app.js.map` },
+        ],
+      },
+    ]);
+    assert.deepEqual(bucketPlan.kept, [
+      { hash: makeHash("b"), reason: "released to production" },
+    ]);
+    assert.deepEqual(bucketPlan.abandoned, []);
+    assert.equal(bucketPlan.objectCount, 3);
+    assert.equal(bucketPlan.bytes, 22);
+    assert.equal(
+      isCleanupPlan({ bucketPath: "assets", buckets: [bucketPlan] }),
+      true,
+    );
+  });
+
+  it("lists the files of deploys that never sent their manifest", async () => {
+    const client = makeClient([
+      `assets/${makeHash("a")}.gurgler.json`,
+      `assets/${makeHash("a")}/app.js`,
+      { Key: `assets/${makeHash("b")}/app.js`, LastModified: longAgo, Size: 5 },
+      {
+        Key: `assets/${makeHash("b")}/app.css`,
+        LastModified: longAgo,
+        Size: 7,
+      },
+      // Still being deployed.
+      {
+        Key: `assets/${makeHash("c")}/app.js`,
+        LastModified: new Date("2026-02-28T23:00:00Z"),
+      },
+      {
+        Key: "assets/gurgler-history/production/x.json",
+        LastModified: longAgo,
+      },
+    ]);
+
+    const bucketPlan = await makeBucketPlan(
+      client,
+      "bucket",
+      "assets",
+      ["production"],
+      [makeDecision(makeHash("a"), true, "released to production")],
+      now,
+    );
+
+    assert.deepEqual(bucketPlan.versions, []);
+    assert.deepEqual(bucketPlan.abandoned, [
+      {
+        hash: makeHash("b"),
+        lastModified: longAgo.toISOString(),
+        reason: "a deploy that never finished",
+        keys: [
+          `assets/${makeHash("b")}/app.js`,
+          `assets/${makeHash("b")}/app.css`,
+        ],
+        bytes: 12,
+      },
+    ]);
+    assert.equal(bucketPlan.objectCount, 2);
+    assert.equal(bucketPlan.bytes, 12);
+  });
+});
+
+describe("isCleanupPlan", () => {
+  const makePlan = (abandoned) => ({
+    bucketPath: "assets",
+    buckets: [{ bucket: "bucket", versions: [], abandoned }],
+  });
+  const hash = makeHash("a");
+  const makeVersionPlan = (version) => ({
+    bucketPath: "assets",
+    buckets: [
+      {
+        bucket: "bucket",
+        versions: [
+          {
+            hash,
+            keys: [`assets/${hash}.gurgler.json`, `assets/${hash}/app.js`],
+            sourceMaps: [
+              { bucket: "maps", key: `private/assets/${hash}/app.js.map` },
+            ],
+            ...version,
+          },
+        ],
+      },
+    ],
+  });
+
+  it("accepts a version with its manifest first and its source maps", () => {
+    assert.equal(isCleanupPlan(makeVersionPlan({})), true);
+  });
+
+  it("refuses what isn't a plan", () => {
+    assert.equal(isCleanupPlan({}), false);
+    assert.equal(isCleanupPlan({ bucketPath: "assets" }), false);
+    assert.equal(isCleanupPlan({ bucketPath: "assets", buckets: {} }), false);
+    assert.equal(
+      isCleanupPlan({ bucketPath: "assets", buckets: [{ versions: [] }] }),
+      false,
+    );
+    assert.equal(isCleanupPlan(makeVersionPlan({ keys: [] })), false);
+    assert.equal(isCleanupPlan(makeVersionPlan({ hash: undefined })), false);
+  });
+
+  it("refuses versions with keys outside the bucket path", () => {
+    assert.equal(
+      isCleanupPlan(
+        makeVersionPlan({
+          keys: [`assets/${hash}.gurgler.json`, "other-app/index.html"],
+        }),
+      ),
+      false,
+    );
+  });
+
+  it("refuses versions whose first key isn't their manifest", () => {
+    assert.equal(
+      isCleanupPlan(
+        makeVersionPlan({
+          keys: [`assets/${hash}/app.js`, `assets/${hash}.gurgler.json`],
+        }),
+      ),
+      false,
+    );
+    assert.equal(
+      isCleanupPlan(
+        makeVersionPlan({ keys: [`assets/${makeHash("b")}.gurgler.json`] }),
+      ),
+      false,
+    );
+  });
+
+  it("refuses source maps that aren't the version's", () => {
+    assert.equal(
+      isCleanupPlan(
+        makeVersionPlan({
+          sourceMaps: [{ bucket: "maps", key: "private/important.txt" }],
+        }),
+      ),
+      false,
+    );
+    assert.equal(
+      isCleanupPlan(
+        makeVersionPlan({
+          sourceMaps: [{ key: `private/assets/${hash}/app.js.map` }],
+        }),
+      ),
+      false,
+    );
+  });
+
+  it("accepts the files of an unfinished deploy under its own prefix", () => {
+    assert.equal(
+      isCleanupPlan(
+        makePlan([
+          { hash: makeHash("b"), keys: [`assets/${makeHash("b")}/app.js`] },
+        ]),
+      ),
+      true,
+    );
+  });
+
+  it("refuses unfinished deploys with keys outside their prefix", () => {
+    assert.equal(
+      isCleanupPlan(
+        makePlan([
+          { hash: makeHash("b"), keys: [`assets/${makeHash("a")}/app.js`] },
+        ]),
+      ),
+      false,
+    );
+    assert.equal(
+      isCleanupPlan(
+        makePlan([
+          { hash: "gurgler-history", keys: ["assets/gurgler-history/x"] },
+        ]),
+      ),
+      false,
+    );
+  });
+});
+
+describe("readCleanupPlan", () => {
+  it("reads a plan and refuses a file that isn't one", async (t) => {
+    const directory = await mkdtemp(path.join(tmpdir(), "gurgler-"));
+    t.after(() => rm(directory, { recursive: true }));
+    const planPath = path.join(directory, "plan.json");
+    const otherPath = path.join(directory, "other.json");
+    const plan = { bucketPath: "assets", buckets: [] };
+    await writeFile(planPath, JSON.stringify(plan));
+    await writeFile(otherPath, JSON.stringify({ buckets: [] }));
+
+    assert.deepEqual(await readCleanupPlan(planPath), plan);
+    await assert.rejects(readCleanupPlan(otherPath), {
+      message: `${otherPath} is not a delete-old-deploys plan.`,
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { copyVersion } from "../bin/copy.mjs";
+import { makeClient } from "./fake-s3.mjs";
+
+const hash = "a".repeat(64);
+const manifest = {
+  hash,
+  sourceMaps: [{ bucket: "source", key: `maps/assets/${hash}/app.js.map` }],
+};
+
+describe("copyVersion", () => {
+  it("copies the prefix and then the manifest, and leaves the source maps where they are", async () => {
+    const client = makeClient([
+      {
+        Bucket: "source",
+        Key: `assets/${hash}.gurgler.json`,
+        Body: JSON.stringify(manifest),
+      },
+      { Bucket: "source", Key: `assets/${hash}/app.js` },
+      { Bucket: "source", Key: `assets/${hash}/css/app.css` },
+      { Bucket: "source", Key: `maps/assets/${hash}/app.js.map` },
+    ]);
+
+    const copied = await copyVersion(
+      client,
+      "source",
+      "target",
+      "assets",
+      hash,
+    );
+
+    assert.deepEqual(copied, [
+      `assets/${hash}/app.js`,
+      `assets/${hash}/css/app.css`,
+      `assets/${hash}.gurgler.json`,
+    ]);
+    assert.deepEqual(client.keys("target"), copied);
+    assert.equal(client.keys("source").length, 4);
+  });
+});
@@ -0,0 +1,148 @@
+import _ from "lodash";
+import {
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  GetObjectAclCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+} from "@aws-sdk/client-s3";
+
+const makeError = (name, httpStatusCode) =>
+  Object.assign(new Error(name), { name, $metadata: { httpStatusCode } });
+
+/**
+ * A stand-in for an S3Client with the given objects in its buckets, that lists them a page at a time
+ * like S3 does and records the commands it is sent. An object is a key in "bucket", or {Bucket, Key,
+ * LastModified, Size, Body} where Body is a string. Deleting, putting and copying change what is in
+ * the buckets.
+ *
+ * @param {array} objects
+ * @param {object} [options]
+ * @param {number} [options.pageSize]
+ * @param {function} [options.onSend] Called with each command before it is answered, throw to fail it.
+ * @returns {{send: function, commands: array, keys: function(string=): string[]}}
+ */
+const makeClient = (objects, { pageSize = 1000, onSend = () => {} } = {}) => {
+  // Bucket name -> key -> object.
+  const buckets = {};
+  const bucket = (name) => (buckets[name] = buckets[name] || new Map());
+  for (const object of objects) {
+    const {
+      Bucket = "bucket",
+      Key,
+      ...rest
+    } = typeof object === "string" ? { Key: object } : object;
+    bucket(Bucket).set(Key, {
+      Size: 1,
+      LastModified: new Date("2026-01-01T00:00:00Z"),
+      ...rest,
+    });
+  }
+  const commands = [];
+
+  const list = ({ Bucket, Prefix = "", Delimiter, ContinuationToken }) => {
+    const store = bucket(Bucket);
+    const keys = [...store.keys()].filter((key) => key.startsWith(Prefix));
+    const contents = [];
+    const prefixes = [];
+    for (const key of keys) {
+      const rest = key.slice(Prefix.length);
+      if (Delimiter && rest.includes(Delimiter)) {
+        const prefix = Prefix + rest.slice(0, rest.indexOf(Delimiter) + 1);
+        if (!prefixes.includes(prefix)) {
+          prefixes.push(prefix);
+        }
+      } else {
+        contents.push(key);
+      }
+    }
+    const items = [
+      ...contents.map((key) => ({ Key: key, ...store.get(key) })),
+      ...prefixes.map((prefix) => ({ Prefix: prefix })),
+    ];
+    const start = ContinuationToken ? Number(ContinuationToken) : 0;
+    const page = items.slice(start, start + pageSize);
+    const pageContents = page
+      .filter((item) => item.Key)
+      .map((item) => _.omit(item, ["Body"]));
+    const pagePrefixes = page.filter((item) => item.Prefix);
+    const isTruncated = start + pageSize < items.length;
+    return {
+      // S3 leaves Contents and CommonPrefixes out altogether when there are none on the page.
+      ...(pageContents.length > 0 ? { Contents: pageContents } : {}),
+      ...(pagePrefixes.length > 0 ? { CommonPrefixes: pagePrefixes } : {}),
+      IsTruncated: isTruncated,
+      ...(isTruncated
+        ? { NextContinuationToken: String(start + pageSize) }
+        : {}),
+    };
+  };
+
+  const get = (Bucket, Key, name) => {
+    if (!bucket(Bucket).has(Key)) {
+      throw makeError(name, 404);
+    }
+    return bucket(Bucket).get(Key);
+  };
+
+  const send = async (command) => {
+    commands.push(command);
+    await onSend(command);
+    const { input } = command;
+    if (command instanceof ListObjectsV2Command) {
+      return list(input);
+    }
+    if (command instanceof DeleteObjectCommand) {
+      bucket(input.Bucket).delete(input.Key);
+      return {};
+    }
+    if (command instanceof DeleteObjectsCommand) {
+      for (const { Key } of input.Delete.Objects) {
+        bucket(input.Bucket).delete(Key);
+      }
+      return { Deleted: input.Delete.Objects };
+    }
+    if (command instanceof HeadObjectCommand) {
+      return get(input.Bucket, input.Key, "NotFound");
+    }
+    if (command instanceof GetObjectCommand) {
+      const object = get(input.Bucket, input.Key, "NoSuchKey");
+      return {
+        ...object,
+        Body: { transformToString: async () => object.Body || "" },
+      };
+    }
+    if (command instanceof GetObjectAclCommand) {
+      get(input.Bucket, input.Key, "NoSuchKey");
+      return { Grants: [] };
+    }
+    if (command instanceof PutObjectCommand) {
+      bucket(input.Bucket).set(input.Key, {
+        Size: input.Body.length,
+        LastModified: new Date(),
+        Body: input.Body,
+      });
+      return {};
+    }
+    if (command instanceof CopyObjectCommand) {
+      const [sourceBucket, ...sourceKey] = input.CopySource.split("/");
+      const object = get(
+        sourceBucket,
+        sourceKey.map(decodeURIComponent).join("/"),
+        "NoSuchKey",
+      );
+      bucket(input.Bucket).set(input.Key, { ...object });
+      return {};
+    }
+    throw new Error(`Unexpected command ${command.constructor.name}`);
+  };
+
+  const keys = (name = "bucket") => [...bucket(name).keys()];
+
+  return { send, commands, keys };
+};
+
+export { makeClient, makeError };
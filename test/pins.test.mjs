@@ -0,0 +1,45 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { S3Client } from "@aws-sdk/client-s3";
+import { addPin, readAllPins, removePin } from "../bin/pins.mjs";
+import { makeClient } from "./fake-s3.mjs";
+
+const makeHash = (character) => character.repeat(64);
+const bucketNames = { staging: "staging-bucket", production: "bucket" };
+
+const makePin = (hash, user) => ({
+  hash,
+  reason: "last known good",
+  user,
+  pinnedAt: "2026-01-01T00:00:00.000Z",
+});
+
+describe("pins", () => {
+  it("keeps both of two pins made at the same time, and unpins only the one", async (t) => {
+    const client = makeClient([]);
+    t.mock.method(S3Client.prototype, "send", (command) =>
+      client.send(command),
+    );
+
+    await Promise.all([
+      addPin(bucketNames, "assets", makePin(makeHash("a"), "jane")),
+      addPin(bucketNames, "assets", makePin(makeHash("b"), "joe")),
+    ]);
+    assert.deepEqual(
+      (await readAllPins(bucketNames, "assets")).map((pin) => pin.user).sort(),
+      ["jane", "joe"],
+    );
+    assert.deepEqual(client.keys().sort(), [
+      `assets/gurgler-pins/${makeHash("a")}.json`,
+      `assets/gurgler-pins/${makeHash("b")}.json`,
+    ]);
+
+    await removePin(bucketNames, "assets", makeHash("a"));
+    assert.deepEqual(await readAllPins(bucketNames, "assets"), [
+      makePin(makeHash("b"), "joe"),
+    ]);
+    assert.deepEqual(client.keys("staging-bucket"), [
+      `assets/gurgler-pins/${makeHash("b")}.json`,
+    ]);
+  });
+});
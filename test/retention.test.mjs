@@ -0,0 +1,187 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  applyRetention,
+  makeProtection,
+  parseDuration,
+} from "../bin/retention.mjs";
+
+const now = new Date("2026-06-01T00:00:00Z");
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+const makeVersion = (hash, gitBranch, age) => ({
+  hash,
+  gitBranch,
+  lastModified: daysAgo(age),
+});
+
+// Which hashes applyRetention keeps, and why, by hash.
+const decide = (versions, retention, context = {}) =>
+  Object.fromEntries(
+    applyRetention(versions, retention, { now, ...context }).map(
+      ({ version, keep, rule }) => [version.hash, { keep, rule }],
+    ),
+  );
+
+describe("parseDuration", () => {
+  it("reads hours, days and weeks", () => {
+    assert.equal(parseDuration("12h"), 12 * 60 * 60 * 1000);
+    assert.equal(parseDuration("30d"), 30 * 24 * 60 * 60 * 1000);
+    assert.equal(parseDuration(" 2w "), 14 * 24 * 60 * 60 * 1000);
+  });
+
+  it("refuses anything else", () => {
+    for (const duration of ["30", "d", "1.5d", "-1d", "3m", "", undefined]) {
+      assert.throws(() => parseDuration(duration), /is not a duration/);
+    }
+  });
+});
+
+describe("applyRetention", () => {
+  it("deletes only what is older than maxAge", () => {
+    const decisions = decide(
+      [makeVersion("old", "main", 40), makeVersion("new", "main", 10)],
+      { maxAge: "30d", protectReleasedWithin: "1d" },
+    );
+
+    assert.deepEqual(decisions, {
+      old: { keep: false, rule: "deployed more than 30d ago" },
+      new: { keep: true, rule: "deployed less than 30d ago" },
+    });
+  });
+
+  it("keeps the latest keepLatest versions of each branch", () => {
+    const decisions = decide(
+      [
+        makeVersion("main-1", "main", 100),
+        makeVersion("main-2", "main", 101),
+        makeVersion("main-3", "main", 102),
+        makeVersion("feature-1", "feature/x", 103),
+        makeVersion("feature-2", "feature/x", 104),
+        makeVersion("no-branch", undefined, 105),
+      ],
+      { maxAge: "30d", keepLatest: 2, protectReleasedWithin: "1d" },
+    );
+
+    assert.deepEqual(
+      Object.keys(decisions).filter((hash) => decisions[hash].keep),
+      ["main-1", "main-2", "feature-1", "feature-2", "no-branch"],
+    );
+    assert.equal(
+      decisions["main-1"].rule,
+      "one of the latest 2 of branch main",
+    );
+    assert.equal(
+      decisions["no-branch"].rule,
+      "one of the latest 2 of branch (none)",
+    );
+    assert.equal(decisions["main-3"].keep, false);
+  });
+
+  it("keeps every version of the branches matching keepBranches", () => {
+    const decisions = decide(
+      [
+        makeVersion("main", "main", 100),
+        makeVersion("release", "release/1.2", 100),
+        makeVersion("feature", "feature/x", 100),
+      ],
+      { keepBranches: ["main", "release/*"], protectReleasedWithin: "1d" },
+    );
+
+    assert.deepEqual(decisions.main, {
+      keep: true,
+      rule: "branch main matches keepBranches main",
+    });
+    assert.deepEqual(decisions.release, {
+      keep: true,
+      rule: "branch release/1.2 matches keepBranches release/*",
+    });
+    assert.equal(decisions.feature.keep, false);
+  });
+
+  it("keeps the last keepReleases versions released to each environment", () => {
+    const history = [
+      { environment: "production", hash: "a", releasedAt: daysAgo(90) },
+      { environment: "production", hash: "b", releasedAt: daysAgo(80) },
+      { environment: "production", hash: "c", releasedAt: daysAgo(70) },
+      { environment: "staging", hash: "a", releasedAt: daysAgo(60) },
+    ].map((record) => ({
+      ...record,
+      releasedAt: record.releasedAt.toISOString(),
+    }));
+    const decisions = decide(
+      ["a", "b", "c", "d"].map((hash) => makeVersion(hash, "main", 100)),
+      { keepReleases: 2, protectReleasedWithin: "1d" },
+      { history },
+    );
+
+    assert.deepEqual(decisions.a, {
+      keep: true,
+      rule: "one of the last 2 release(s) of staging",
+    });
+    assert.deepEqual(decisions.b, {
+      keep: true,
+      rule: "one of the last 2 release(s) of production",
+    });
+    assert.equal(decisions.c.keep, true);
+    assert.equal(decisions.d.keep, false);
+  });
+
+  it("never deletes what is protected, whatever the rules say", () => {
+    const decisions = decide(
+      ["released", "pinned", "recent", "other"].map((hash) =>
+        makeVersion(hash, "main", 100),
+      ),
+      { maxAge: "1d", protectReleasedWithin: "14d" },
+      {
+        environments: [{ key: "production", releasedHash: "released" }],
+        pins: [{ hash: "pinned", user: "jane", reason: "last known good" }],
+        history: [
+          {
+            environment: "staging",
+            hash: "recent",
+            releasedAt: daysAgo(13).toISOString(),
+          },
+        ],
+      },
+    );
+
+    assert.deepEqual(decisions.released, {
+      keep: true,
+      rule: "released to production",
+    });
+    assert.deepEqual(decisions.pinned, {
+      keep: true,
+      rule: "pinned by jane: last known good",
+    });
+    assert.deepEqual(decisions.recent, {
+      keep: true,
+      rule: "released to staging less than 14d ago",
+    });
+    assert.equal(decisions.other.keep, false);
+  });
+});
+
+describe("makeProtection", () => {
+  it("only protects what was released within protectReleasedWithin", () => {
+    const history = [
+      { environment: "production", hash: "inside", releasedAt: daysAgo(6) },
+      { environment: "production", hash: "outside", releasedAt: daysAgo(8) },
+    ].map((record) => ({
+      ...record,
+      releasedAt: record.releasedAt.toISOString(),
+    }));
+    const findProtection = makeProtection({
+      history,
+      protectReleasedWithin: "1w",
+      now,
+    });
+
+    assert.equal(
+      findProtection("inside"),
+      "released to production less than 1w ago",
+    );
+    assert.equal(findProtection("outside"), undefined);
+    assert.equal(findProtection("never"), undefined);
+  });
+});
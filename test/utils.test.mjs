@@ -0,0 +1,80 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { listAllObjects, listAllPrefixes } from "../bin/utils.mjs";
+import { makeClient } from "./fake-s3.mjs";
+
+const makeKeys = (count, prefix = "assets/abc/") =>
+  Array.from({ length: count }, (_, i) => `${prefix}${i}.js`);
+
+describe("listAllObjects", () => {
+  it("follows the continuation tokens past 1000 keys", async () => {
+    const keys = makeKeys(2500);
+    const client = makeClient(keys);
+
+    const objects = await listAllObjects(client, {
+      Bucket: "bucket",
+      Prefix: "assets/",
+    });
+
+    assert.deepEqual(
+      objects.map((object) => object.Key),
+      keys,
+    );
+    const tokens = client.commands.map(
+      (command) => command.input.ContinuationToken,
+    );
+    assert.deepEqual(tokens, [undefined, "1000", "2000"]);
+    assert.ok(
+      client.commands.every((command) => command.input.Bucket === "bucket"),
+    );
+  });
+
+  it("handles a page without Contents", async () => {
+    const client = makeClient(makeKeys(3));
+
+    const objects = await listAllObjects(client, {
+      Bucket: "bucket",
+      Prefix: "nothing-here/",
+    });
+
+    assert.deepEqual(objects, []);
+    assert.equal(client.commands.length, 1);
+  });
+
+  it("stops when a truncated page has no continuation token", async () => {
+    const client = {
+      commands: [],
+      send: async (command) => {
+        client.commands.push(command);
+        return { Contents: [{ Key: "a" }], IsTruncated: true };
+      },
+    };
+
+    const objects = await listAllObjects(client, { Bucket: "bucket" });
+
+    assert.deepEqual(objects, [{ Key: "a" }]);
+    assert.equal(client.commands.length, 1);
+  });
+});
+
+describe("listAllPrefixes", () => {
+  it("lists the directories right under a prefix, past 1000 of them", async () => {
+    const keys = [
+      ...Array.from({ length: 1200 }, (_, i) => `assets/${i}/app.js`),
+      "assets/0/css/app.css",
+      "assets/0.gurgler.json",
+      "other/1/app.js",
+    ];
+    const client = makeClient(keys);
+
+    const prefixes = await listAllPrefixes(client, "bucket", "assets/");
+
+    assert.deepEqual(
+      prefixes,
+      Array.from({ length: 1200 }, (_, i) => `assets/${i}/`),
+    );
+    assert.ok(
+      client.commands.every((command) => command.input.Delimiter === "/"),
+    );
+  });
+});
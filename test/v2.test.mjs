@@ -0,0 +1,169 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import _ from "lodash";
+import { DeleteObjectsCommand, S3Client } from "@aws-sdk/client-s3";
+import { SSMClient } from "@aws-sdk/client-ssm";
+import { deleteBucketPlan, loadProtection } from "../bin/v2.mjs";
+import { makeClient } from "./fake-s3.mjs";
+
+const makeHash = (character) => character.repeat(64);
+const bucketNames = { production: "bucket" };
+const environments = [
+  { key: "production", serverEnvironment: "production", ssmKey: "/prod" },
+];
+
+/**
+ * Send what the v2 commands send to S3 to a fake client with the given objects, and answer SSM with
+ * whatever released() says is released to production at the time.
+ */
+const fakeAws = (t, objects, { onSend, released = () => undefined } = {}) => {
+  const client = makeClient(objects, { onSend });
+  t.mock.method(S3Client.prototype, "send", (command) => client.send(command));
+  t.mock.method(SSMClient.prototype, "send", async (command) => ({
+    Parameters: command.input.Names.map((name) => ({
+      Name: name,
+      Value: released() || "Unreleased!",
+      LastModifiedDate: new Date("2026-01-01T00:00:00Z"),
+    })),
+  }));
+  return client;
+};
+
+const makePlannedVersion = (hash, fileCount) => ({
+  hash,
+  keys: [
+    `assets/${hash}.gurgler.json`,
+    ..._.range(fileCount).map((index) => `assets/${hash}/${index}.js`),
+  ],
+});
+
+describe("loadProtection", () => {
+  it("finds what is released, the release history and the pins", async (t) => {
+    const pin = { hash: makeHash("b"), user: "jane", reason: "good" };
+    const record = {
+      environment: "production",
+      hash: makeHash("c"),
+      releasedAt: "2026-01-01T00:00:00.000Z",
+    };
+    fakeAws(
+      t,
+      [
+        {
+          Key: `assets/gurgler-pins/${pin.hash}.json`,
+          Body: JSON.stringify(pin),
+        },
+        {
+          Key: "assets/gurgler-history/production/a.json",
+          Body: JSON.stringify(record),
+        },
+      ],
+      { released: () => makeHash("a") },
+    );
+
+    const protection = await loadProtection(
+      bucketNames,
+      environments.map((environment) => ({ ...environment })),
+      "assets",
+    );
+
+    assert.deepEqual(_.map(protection.environments, "releasedHash"), [
+      makeHash("a"),
+    ]);
+    assert.deepEqual(protection.history, [record]);
+    assert.deepEqual(protection.pins, [pin]);
+  });
+});
+
+describe("deleteBucketPlan", () => {
+  // checkStillUnreleased asks SSM again before every chunk.
+  it("stops deleting a version that is released between two chunks", async (t) => {
+    const hash = makeHash("a");
+    const plannedVersion = makePlannedVersion(hash, 1500);
+    let released;
+    let deleteCount = 0;
+    const client = fakeAws(t, plannedVersion.keys, {
+      released: () => released,
+      onSend: (command) => {
+        // The manifest and then the first 1000 files go, and then it is released.
+        if (command instanceof DeleteObjectsCommand && ++deleteCount === 2) {
+          released = hash;
+        }
+      },
+    });
+
+    const result = await deleteBucketPlan(
+      { bucket: "bucket", versions: [plannedVersion] },
+      bucketNames,
+      environments,
+      "assets",
+      "14d",
+    );
+
+    assert.deepEqual(result.deleted, []);
+    assert.deepEqual(result.refused, []);
+    assert.equal(result.failed.length, 1);
+    assert.equal(result.failed[0].hash, hash);
+    assert.equal(
+      result.failed[0].error.message,
+      `Stopped deleting hash[${hash}], it was just released to production.`,
+    );
+    assert.equal(deleteCount, 2);
+    assert.equal(client.keys().length, 500);
+  });
+
+  it("refuses a pinned version even though the plan lists it", async (t) => {
+    const hash = makeHash("a");
+    const plannedVersion = makePlannedVersion(hash, 2);
+    const client = fakeAws(t, [
+      ...plannedVersion.keys,
+      {
+        Key: `assets/gurgler-pins/${hash}.json`,
+        Body: JSON.stringify({ hash, user: "jane", reason: "good" }),
+      },
+    ]);
+
+    const result = await deleteBucketPlan(
+      { bucket: "bucket", versions: [plannedVersion] },
+      bucketNames,
+      environments,
+      "assets",
+      "14d",
+    );
+
+    assert.deepEqual(result, {
+      deleted: [],
+      refused: [{ hash, reason: "pinned by jane: good" }],
+      failed: [],
+    });
+    assert.equal(
+      client.commands.filter(
+        (command) => command instanceof DeleteObjectsCommand,
+      ).length,
+      0,
+    );
+  });
+
+  it("deletes an unprotected version and its source maps", async (t) => {
+    const hash = makeHash("a");
+    const plannedVersion = {
+      ...makePlannedVersion(hash, 2),
+      sourceMaps: [{ bucket: "maps", key: `private/assets/${hash}/0.js.map` }],
+    };
+    const client = fakeAws(t, [
+      ...plannedVersion.keys,
+      { Bucket: "maps", Key: `private/assets/${hash}/0.js.map` },
+    ]);
+
+    const result = await deleteBucketPlan(
+      { bucket: "bucket", versions: [plannedVersion] },
+      bucketNames,
+      environments,
+      "assets",
+      "14d",
+    );
+
+    assert.deepEqual(result, { deleted: [hash], refused: [], failed: [] });
+    assert.deepEqual(client.keys(), []);
+    assert.deepEqual(client.keys("maps"), []);
+  });
+});